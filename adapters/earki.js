@@ -0,0 +1,121 @@
+/** @format */
+
+// Shared pieces of the three earki.co adapters (jokes, articles, satire).
+// Extractors run inside the page: they must not close over anything.
+
+const BASE = "https://www.earki.co";
+
+// Return absolute, de-duped article URLs in on-page order
+function extractList(url, selectors) {
+  const seen = new Set();
+  const out = [];
+  for (const a of document.querySelectorAll(selectors.listLinks)) {
+    const href = a.getAttribute("href");
+    if (!href) continue;
+    const abs = new URL(href, url).href;
+    if (!seen.has(abs)) {
+      seen.add(abs);
+      out.push({ url: abs });
+    }
+  }
+  return out;
+}
+
+// `fallbacks` lists the fields that only matched a backup selector
+function extractArticle() {
+  const fallbacks = [];
+  function first(field, selectors) {
+    for (const [i, css] of selectors.entries()) {
+      const el = document.querySelector(css);
+      if (!el) continue;
+      if (i > 0) fallbacks.push(field);
+      return el;
+    }
+    return null;
+  }
+
+  // Title candidates
+  const titleEl = first("headline", [
+    "h1.title .title",
+    "h2.title .title",
+    "h1 .title",
+    "h2 .title",
+    "meta[property='og:title']",
+  ]);
+
+  const headline = titleEl
+    ? (titleEl.getAttribute("content") || titleEl.textContent || "").trim()
+    : null;
+
+  // Publish time candidates
+  const timeEl = first("published_at", [
+    "span.time",
+    "time[datetime]",
+    "meta[property='article:published_time']",
+  ]);
+
+  const publishedAttr =
+    timeEl?.getAttribute?.("data-published") ||
+    timeEl?.getAttribute?.("datetime") ||
+    timeEl?.getAttribute?.("content") ||
+    "";
+
+  // Body
+  const bodyEl = first("content", [
+    'div[itemprop="articleBody"]',
+    'article [itemprop="articleBody"]',
+    "article .content",
+    ".article_body",
+    ".content",
+  ]);
+
+  let content = null;
+  if (bodyEl) {
+    content = (bodyEl.innerText || bodyEl.textContent || "").trim();
+    if (!content) content = null;
+  }
+
+  return { headline, published_at: publishedAttr || "", content, fallbacks };
+}
+
+/**
+ * earki sections differ only in their list selector and article URL shape.
+ * `idPattern` must capture the numeric article id.
+ */
+function earkiAdapter({
+  name,
+  section,
+  category,
+  output,
+  listLinks,
+  idPattern,
+}) {
+  return {
+    name,
+    publisher: "earki",
+    category,
+    labelName: "satire", // humor, false by design
+    output,
+    crawl: "load-more",
+    backend: "http", // articles; the Load More list still needs Chromium
+    startUrl: `${BASE}/${section}`,
+    listWaitFor: listLinks,
+    selectors: { listLinks },
+    // with --media, besides og:image
+    images: 'div[itemprop="articleBody"], article [itemprop="articleBody"]',
+    defaults: {
+      clickIntervalMs: 5000,
+      linkDelayMs: 1200,
+      jitterMs: 600,
+      maxClicks: 100000,
+    },
+    articleId(url) {
+      const m = String(url).match(idPattern);
+      return m ? m[1] : null;
+    },
+    extractList,
+    extractArticle,
+  };
+}
+
+module.exports = { BASE, extractList, extractArticle, earkiAdapter };
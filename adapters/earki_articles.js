@@ -0,0 +1,13 @@
+/** @format */
+
+const { earkiAdapter } = require("./earki");
+
+// Long-form pieces on /jokes link to /jokes/article/10872/...
+module.exports = earkiAdapter({
+  name: "earki-articles",
+  section: "jokes",
+  category: "jokes",
+  output: "earki_articles",
+  listLinks: '.content_group_inner .each.has_image a[href^="/jokes/article"]',
+  idPattern: /\/jokes\/article\/(\d+)\b/,
+});
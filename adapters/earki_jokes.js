@@ -0,0 +1,13 @@
+/** @format */
+
+const { earkiAdapter } = require("./earki");
+
+// Joke cards on /jokes link to /jokes/joke/11081/...
+module.exports = earkiAdapter({
+  name: "earki-jokes",
+  section: "jokes",
+  category: "jokes",
+  output: "earki_jokes",
+  listLinks: '.single_stream_content .each a[href^="/jokes/joke"]',
+  idPattern: /\/jokes\/joke\/(\d+)(?:\/|$)/,
+});
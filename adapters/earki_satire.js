@@ -0,0 +1,13 @@
+/** @format */
+
+const { earkiAdapter } = require("./earki");
+
+// Satire cards on /satire link to /satire/article/10872/...
+module.exports = earkiAdapter({
+  name: "earki-satire",
+  section: "satire",
+  category: "satire",
+  output: "earki_satire",
+  listLinks: '.content_group_inner .each.has_image a[href^="/satire/article"]',
+  idPattern: /\/satire\/article\/(\d+)\b/,
+});
@@ -0,0 +1,149 @@
+/** @format */
+
+// fact-watch.org "ফ্যাক্টচেক" category. Posts without a .factcheck-schema
+// block are not fact-checks and are skipped.
+// Extractors run inside the page: they must not close over anything.
+
+const { mapVerdict } = require("../lib/verdict");
+
+const CATEGORY_BASE =
+  "https://www.fact-watch.org/category/%E0%A6%AB%E0%A7%8D%E0%A6%AF%E0%A6%BE%E0%A6%95%E0%A7%8D%E0%A6%9F%E0%A6%9A%E0%A7%87%E0%A6%95";
+
+// article_id = URL slug (last non-empty segment)
+function slugFromUrl(url) {
+  try {
+    const u = new URL(url);
+    const parts = u.pathname.split("/").filter(Boolean);
+    return parts[parts.length - 1] || "";
+  } catch {
+    return "";
+  }
+}
+
+// Each card contains a title link: h3.title > a[href]
+function extractList(url) {
+  const seen = new Set();
+  const out = [];
+  const anchors = document.querySelectorAll(
+    ".category-more-blogs .more-wrapper .card h3.title a[href]"
+  );
+  for (const a of anchors) {
+    const href = a.getAttribute("href");
+    if (!href) continue;
+    try {
+      const abs = new URL(href, url).href;
+      if (!seen.has(abs)) {
+        seen.add(abs);
+        out.push({ url: abs });
+      }
+    } catch (_) {}
+  }
+  return out;
+}
+
+// Schema block captions (English or Bangla) -> record fields, first match wins
+const SCHEMA_KEYS = [
+  { field: "claimant", pattern: /claim(ed)?\s*by|claimant|দাবিকারী|দাবিদার/i },
+  { field: "claim_reviewed", pattern: /claim\s*review|^claim$|দাবি/i },
+  { field: "rating_scale", pattern: /scale|best|worst|স্কেল/i },
+  {
+    field: "verdict",
+    pattern: /rating|verdict|fact\s*check|conclusion|সিদ্ধান্ত|রেটিং|ফলাফল/i,
+  },
+];
+
+/**
+ * Turn the .factcheck-schema text into structured fields. The block is a
+ * list of "Caption: value" lines (or caption and value on separate lines).
+ * Captions we don't know are ignored.
+ */
+function parseFactcheckSchema(text) {
+  const out = {
+    claim_reviewed: null,
+    claimant: null,
+    verdict: null,
+    rating_scale: null,
+  };
+  const lines = String(text || "")
+    .split(/\n+/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+
+  for (let i = 0; i < lines.length; i++) {
+    let key = lines[i];
+    let value = null;
+    const m = lines[i].match(/^([^:：\t]{2,40})[:：\t]\s*(.*)$/);
+    if (m) [, key, value] = m;
+    const spec = SCHEMA_KEYS.find((k) => k.pattern.test(key.trim()));
+    if (!spec || out[spec.field]) continue;
+    if (!value && i + 1 < lines.length) value = lines[++i];
+    out[spec.field] = value ? value.trim() : null;
+  }
+  return out;
+}
+
+function extractArticle() {
+  // factcheck schema block (for the verdict; and we exclude it from content)
+  const schemaEl = document.querySelector(".factcheck-schema");
+  if (!schemaEl) return null;
+  const schemaText = schemaEl.innerText || schemaEl.textContent || "";
+
+  const fallbacks = [];
+  let h1 = document.querySelector(".single-post-header h1");
+  if (!h1 && (h1 = document.querySelector("h1"))) fallbacks.push("headline");
+  const headline = (h1?.textContent || "").trim();
+
+  const dateEl = document.querySelector(
+    ".single-post-meta .date, .single-post-header .single-post-meta .date"
+  );
+  const published_at = (dateEl?.textContent || "").trim();
+
+  // main content: section.fw-content (remove schema block if inside)
+  const contentRoot = document.querySelector("section.fw-content");
+  let content = "";
+  if (contentRoot) {
+    const clone = contentRoot.cloneNode(true);
+    const bad = clone.querySelector(".factcheck-schema");
+    if (bad) bad.remove();
+    content = (clone.innerText || clone.textContent || "").trim();
+  }
+
+  return { headline, published_at, content, schemaText, fallbacks };
+}
+
+module.exports = {
+  name: "fact-watch",
+  publisher: "fact-watch",
+  category: "fact-check",
+  labelName: null, // from the verdict
+  output: "factwatch_factchecks",
+  crawl: "paginated",
+  backend: "http", // server-rendered
+  listWaitFor: ".category-more-blogs .more-wrapper",
+  defaults: {
+    firstPage: 1,
+    lastPage: 70,
+    linkDelayMs: 600, // gap between requests to the site
+    jitterMs: 400,
+    concurrency: 12, // pages in flight, one list page holds 12 cards
+  },
+  listUrl(n) {
+    return n === 1 ? CATEGORY_BASE + "/" : `${CATEGORY_BASE}/page/${n}/`;
+  },
+  articleId: slugFromUrl,
+  extractList,
+  extractArticle,
+  structuredData: true,
+  evidence: { root: "section.fw-content", exclude: ".factcheck-schema" },
+  images: "section.fw-content", // with --media, besides og:image
+  // ClaimReview JSON-LD comes first; the schema block fills what it lacks.
+  // An unrecognised verdict leaves label_name empty: the row is quarantined.
+  mapRecord(record, data) {
+    const out = { ...record };
+    const schema = parseFactcheckSchema(data.schemaText);
+    for (const [k, v] of Object.entries(schema)) out[k] = out[k] || v;
+    out.label_name = mapVerdict(out.verdict);
+    return out;
+  },
+  parseFactcheckSchema,
+};
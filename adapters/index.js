@@ -0,0 +1,42 @@
+/** @format */
+
+// Adapter registry. Each adapter is a plain object (see lib/crawl.js for the
+// fields it reads); registering it makes it available as `scrape <name>`.
+
+const registry = new Map();
+
+function registerAdapter(adapter) {
+  if (!adapter || !adapter.name) throw new Error("Adapter needs a name");
+  if (registry.has(adapter.name)) {
+    throw new Error(`Adapter already registered: ${adapter.name}`);
+  }
+  registry.set(adapter.name, adapter);
+  return adapter;
+}
+
+function getAdapter(name) {
+  const adapter = registry.get(name);
+  if (!adapter) {
+    const known = listAdapters()
+      .map((a) => a.name)
+      .join(", ");
+    throw new Error(`Unknown site "${name}". Known sites: ${known}`);
+  }
+  return adapter;
+}
+
+function listAdapters() {
+  return Array.from(registry.values());
+}
+
+// Built-in sources
+registerAdapter(require("./earki_jokes"));
+registerAdapter(require("./earki_articles"));
+registerAdapter(require("./earki_satire"));
+registerAdapter(require("./factwatch"));
+registerAdapter(require("./jachai"));
+registerAdapter(require("./rumorscanner"));
+registerAdapter(require("./prothomalo"));
+registerAdapter(require("./jamuna"));
+
+module.exports = { registerAdapter, getAdapter, listAdapters };
@@ -0,0 +1,96 @@
+/** @format */
+
+// jachai.org /fact-checks. Headline, date and topic come from the list
+// card; the article page only contributes the body text.
+// Extractors run inside the page: they must not close over anything.
+
+const crypto = require("crypto");
+const { mapVerdict } = require("../lib/verdict");
+
+const sha1 = (s) => crypto.createHash("sha1").update(s).digest("hex");
+
+function getArticleIdFromUrl(url) {
+  try {
+    const u = new URL(url);
+    const m = u.pathname.match(/post-(\d+)/);
+    if (m) return m[1];
+  } catch {}
+  return sha1(url);
+}
+
+function categoryFromSlug(categoryHref) {
+  if (!categoryHref) return null;
+  try {
+    const u = new URL(categoryHref);
+    const segs = u.pathname.split("/").filter(Boolean);
+    return segs[segs.length - 1] || null;
+  } catch {
+    return null;
+  }
+}
+
+// Parse listing page for card-level fields. Links are resolved against the
+// page URL by hand: a parsed (not rendered) document leaves href as written.
+function extractList(url) {
+  const abs = (a) => {
+    const href = a && a.getAttribute("href");
+    return href ? new URL(href, url).href : null;
+  };
+  return Array.from(document.querySelectorAll("article.list-view"))
+    .map((el) => {
+      const titleA = el.querySelector("header.entry-header h2.entry-title a");
+      const catA = el.querySelector("header.entry-header .entry-category a");
+      const dateMeta = el.querySelector(
+        "header.entry-header meta[itemprop='datePublished']"
+      );
+      return {
+        url: abs(titleA),
+        headline: titleA ? (titleA.textContent || "").trim() : null,
+        categoryHref: abs(catA),
+        section: catA ? (catA.textContent || "").trim() || null : null,
+        published_at: dateMeta ? dateMeta.getAttribute("content") : null,
+      };
+    })
+    .filter((x) => x.url && x.headline);
+}
+
+// <section class="entry-body"> text; the row is kept even without it
+function extractArticle() {
+  const el = document.querySelector("section.entry-body");
+  if (!el) return { content: null };
+  const text = (el.innerText || el.textContent || "").trim();
+  return { content: text || null };
+}
+
+module.exports = {
+  name: "jachai",
+  publisher: "jachai",
+  category: "fact-check",
+  labelName: "fake", // all fake in this section
+  output: "jachai_import",
+  crawl: "paginated",
+  backend: "http", // server-rendered
+  listWaitFor: "article.list-view",
+  articleWaitFor: "section.entry-body",
+  defaults: {
+    firstPage: 1,
+    lastPage: 500,
+    linkDelayMs: 400,
+    jitterMs: 0,
+  },
+  listUrl: (n) => `https://www.jachai.org/fact-checks/page/${n}`,
+  articleId: getArticleIdFromUrl,
+  extractList,
+  extractArticle,
+  structuredData: true,
+  evidence: { root: "section.entry-body" },
+  images: "section.entry-body", // with --media, besides og:image
+  // Everything in this section is debunked; a ClaimReview rating refines it
+  mapRecord(record, data) {
+    return {
+      ...record,
+      label_name: mapVerdict(record.verdict) || "fake",
+      topic: categoryFromSlug(data.categoryHref),
+    };
+  },
+};
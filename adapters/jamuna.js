@@ -0,0 +1,40 @@
+/** @format */
+
+// Jamuna TV national news. A numbered listing (?page=N) like jachai's;
+// articles live at /news/<numeric id>.
+
+const { extractLinks, extractNewsArticle } = require("../lib/extractors");
+
+module.exports = {
+  name: "jamuna-tv",
+  publisher: "jamuna-tv",
+  category: "news",
+  labelName: "real",
+  output: "jamuna_news",
+  crawl: "paginated",
+  backend: "http", // server-rendered
+  listWaitFor: "a[href*='/news/']",
+  selectors: {
+    listLinks: "a[href*='/news/']",
+    articlePath: "^/news/\\d+",
+    headline: "h1, meta[property='og:title']",
+    // e.g. "প্রকাশঃ ২০ আগস্ট ২০২৫, ০৩:১২ পিএম"
+    date: "meta[property='article:published_time'], .publish-time, time",
+    body: ".news-details, .desc, article .content",
+  },
+  images: ".news-details", // with --media, besides og:image
+  defaults: {
+    firstPage: 1,
+    lastPage: 300,
+    linkDelayMs: 1000,
+    jitterMs: 500,
+  },
+  listUrl: (n) => `https://jamuna.tv/national?page=${n}`,
+  articleId(url) {
+    const m = String(url).match(/\/news\/(\d+)/);
+    return m ? m[1] : null;
+  },
+  extractList: extractLinks,
+  extractArticle: extractNewsArticle,
+  structuredData: true,
+};
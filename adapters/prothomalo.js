@@ -0,0 +1,44 @@
+/** @format */
+
+// Prothom Alo, Bangladesh section. The listing grows with an "আরও" (more)
+// button, like earki's; articles carry NewsArticle JSON-LD.
+
+const { extractLinks, extractNewsArticle } = require("../lib/extractors");
+
+module.exports = {
+  name: "prothomalo",
+  publisher: "prothomalo",
+  category: "news",
+  labelName: "real",
+  output: "prothomalo_news",
+  crawl: "load-more",
+  backend: "http", // articles; the Load More list still needs Chromium
+  startUrl: "https://www.prothomalo.com/bangladesh",
+  loadMore: { button: ".load-more-content, button.more", doneText: null },
+  listWaitFor: "a[href^='/bangladesh/']",
+  selectors: {
+    listLinks: "a[href]",
+    // /bangladesh/<optional subsection>/<story id>
+    articlePath: "^/bangladesh/(?:[a-z-]+/)*[a-z0-9]{8,}$",
+    headline: "h1, meta[property='og:title']",
+    date: "time[datetime], meta[property='article:published_time']",
+    body: ".story-element.story-element-text",
+  },
+  defaults: {
+    clickIntervalMs: 4000,
+    linkDelayMs: 1500,
+    jitterMs: 600,
+    maxClicks: 2000,
+  },
+  articleId(url) {
+    try {
+      const parts = new URL(url).pathname.split("/").filter(Boolean);
+      return parts[parts.length - 1] || null;
+    } catch {
+      return null;
+    }
+  },
+  extractList: extractLinks,
+  extractArticle: extractNewsArticle,
+  structuredData: true,
+};
@@ -0,0 +1,108 @@
+/** @format */
+
+// Rumor Scanner Bangladesh fact-checks (the "rumors.com" of the README).
+// WordPress listing at /category/fact-check/page/N/, scraped like
+// fact-watch: a list page, then its posts a few tabs at a time.
+// Extractors run inside the page: they must not close over anything.
+
+const { mapVerdict } = require("../lib/verdict");
+
+const CATEGORY_BASE = "https://rumorscanner.com/category/fact-check";
+
+// Last path segment: the numeric id on /fact-check/<slug>/<id>, else the slug
+function articleIdFromUrl(url) {
+  try {
+    const parts = new URL(url).pathname.split("/").filter(Boolean);
+    return parts[parts.length - 1] || "";
+  } catch {
+    return "";
+  }
+}
+
+function extractList(url) {
+  const seen = new Set();
+  const out = [];
+  const anchors = document.querySelectorAll(
+    "article .entry-title a[href], .post-title a[href]"
+  );
+  for (const a of anchors) {
+    try {
+      const abs = new URL(a.getAttribute("href"), url).href;
+      if (!seen.has(abs)) {
+        seen.add(abs);
+        out.push({ url: abs });
+      }
+    } catch (_) {}
+  }
+  return out;
+}
+
+function extractArticle() {
+  const fallbacks = [];
+  let h1 = document.querySelector("h1.entry-title");
+  if (!h1 && (h1 = document.querySelector("h1"))) fallbacks.push("headline");
+  const headline = (h1?.textContent || "").trim();
+
+  let timeEl = document.querySelector("time.entry-date[datetime]");
+  if (!timeEl) {
+    timeEl = document.querySelector("meta[property='article:published_time']");
+    if (timeEl) fallbacks.push("published_at");
+  }
+  const published_at = (
+    timeEl?.getAttribute("datetime") ||
+    timeEl?.getAttribute("content") ||
+    ""
+  ).trim();
+
+  // Verdict badge, when the post has one (ClaimReview JSON-LD is preferred)
+  const verdictEl = document.querySelector(
+    ".verdict, .fact-check-verdict, .rs-verdict, .post-verdict"
+  );
+  const verdict = (verdictEl?.textContent || "").trim() || null;
+
+  const root = document.querySelector(".entry-content");
+  let content = null;
+  if (root) {
+    const clone = root.cloneNode(true);
+    clone
+      .querySelectorAll(".sharedaddy, .share-buttons, .verdict, script, style")
+      .forEach((el) => el.remove());
+    content = (clone.innerText || clone.textContent || "").trim() || null;
+  }
+
+  return { headline, published_at, content, verdict, fallbacks };
+}
+
+module.exports = {
+  name: "rumor-scanner",
+  publisher: "rumor-scanner",
+  category: "fact-check",
+  labelName: null, // from the verdict
+  output: "rumorscanner_factchecks",
+  crawl: "paginated",
+  backend: "http", // server-rendered
+  listWaitFor: "article .entry-title a",
+  defaults: {
+    firstPage: 1,
+    lastPage: 400,
+    linkDelayMs: 600, // gap between requests to the site
+    jitterMs: 400,
+    concurrency: 6,
+  },
+  listUrl(n) {
+    return n === 1 ? CATEGORY_BASE + "/" : `${CATEGORY_BASE}/page/${n}/`;
+  },
+  articleId: articleIdFromUrl,
+  extractList,
+  extractArticle,
+  structuredData: true,
+  evidence: {
+    root: ".entry-content",
+    exclude: ".sharedaddy, .share-buttons, .verdict",
+  },
+  images: ".entry-content", // with --media, besides og:image
+  // An unrecognised verdict leaves label_name empty: the row is quarantined
+  mapRecord(record) {
+    return { ...record, label_name: mapVerdict(record.verdict) };
+  },
+};
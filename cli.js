@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+/** @format */
+
+// Usage:
+//   fake-news-scrapper list
+//   fake-news-scrapper scrape <site> [--max-articles 50] [--out data/] ...
+//   fake-news-scrapper retry-failed <site> [--out data/] ...
+//   fake-news-scrapper reextract <site> [--out data/] [--name <name>] ...
+//   fake-news-scrapper dedup [--out data/] [--threshold 0.7] [--merge]
+//   fake-news-scrapper build-dataset [--out data/] [--split 0.8,0.1,0.1] ...
+//   fake-news-scrapper help
+
+const { parseArgs } = require("util");
+const {
+  runAdapter,
+  retryFailed,
+  reextract,
+  dedupeDataset,
+  buildDataset,
+  DEFAULT_THRESHOLDS,
+  DEDUP_DEFAULTS,
+} = require("./lib");
+const { getAdapter, listAdapters } = require("./adapters");
+
+function toNumber(flag, v) {
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) {
+    throw new Error(`--${flag} expects a non-negative number, got "${v}"`);
+  }
+  return n;
+}
+
+// flag -> settings key understood by lib/crawl.js
+const SCRAPE_FLAGS = {
+  out: { key: "outDir", help: "output directory (default: data/)" },
+  name: { key: "outputName", help: "output file basename" },
+  sinks: {
+    key: "sinks",
+    help: "comma-separated: jsonl,csv,parquet,sqlite (default: jsonl,csv)",
+  },
+  "max-articles": { key: "maxArticles", number: true, help: "stop after N" },
+  "first-page": { key: "firstPage", number: true, help: "paginated: start" },
+  "last-page": { key: "lastPage", number: true, help: "paginated: stop" },
+  "max-clicks": { key: "maxClicks", number: true, help: "load-more: cap" },
+  "click-interval": {
+    key: "clickIntervalMs",
+    number: true,
+    help: "load-more: ms to wait after each click",
+  },
+  "link-delay": {
+    key: "linkDelayMs",
+    number: true,
+    help: "ms between requests to one host",
+  },
+  jitter: { key: "jitterMs", number: true, help: "max random ms added" },
+  concurrency: {
+    key: "concurrency",
+    number: true,
+    help: "pages in flight per host",
+  },
+  pool: { key: "poolSize", number: true, help: "pages in flight in total" },
+  retries: { key: "retries", number: true, help: "retries per failing URL" },
+  "retry-delay": {
+    key: "retryDelayMs",
+    number: true,
+    help: "ms before the first retry (doubles)",
+  },
+  "nav-timeout": { key: "navTimeoutMs", number: true, help: "ms" },
+  headful: { key: "headless", boolean: true, help: "show the browser" },
+  "user-agent": {
+    key: "userAgent",
+    help: "User-Agent to send; add a contact URL or e-mail",
+  },
+  "ignore-robots": {
+    key: "ignoreRobots",
+    boolean: true,
+    help: "skip robots.txt (sites that gave permission only)",
+  },
+  archive: {
+    key: "archive",
+    boolean: true,
+    help: "keep every page in <out>/archive/ for reextract",
+  },
+  warc: {
+    key: "warc",
+    boolean: true,
+    help: "write every page loaded successfully to <out>/warc/*.warc.gz",
+  },
+  media: {
+    key: "media",
+    boolean: true,
+    help: "download article images into <out>/media/",
+  },
+  "max-images": {
+    key: "maxImages",
+    number: true,
+    help: "with --media: images per article",
+  },
+  backend: {
+    key: "backend",
+    help: "browser | http (default: the site's choice)",
+  },
+  resume: {
+    key: "resume",
+    boolean: true,
+    help: "continue from <name>.state.json",
+  },
+  incremental: {
+    key: "incremental",
+    boolean: true,
+    help: "only fetch what is newer than <name>.jsonl",
+  },
+  "known-streak": {
+    key: "knownStreak",
+    number: true,
+    help: "incremental: known ids in a row that end the crawl",
+  },
+};
+
+// Health thresholds: highest acceptable share (0-1) of processed articles
+const HEALTH_FLAGS = {
+  "max-empty-headline": "emptyHeadline",
+  "max-empty-content": "emptyContent",
+  "max-missing-date": "missingDate",
+  "max-fallback": "fallback",
+  "max-rejected": "rejected",
+  "max-failed": "failed",
+};
+for (const [flag, key] of Object.entries(HEALTH_FLAGS)) {
+  SCRAPE_FLAGS[flag] = {
+    health: key,
+    number: true,
+    help: `health: fail above this rate (${DEFAULT_THRESHOLDS[key]})`,
+  };
+}
+
+// Content cleanup (lib/text.js): settings.text overrides
+const TEXT_FLAGS = {
+  digits: {
+    text: "digits",
+    help: "content_clean digits: keep | ascii | bangla",
+  },
+  sentences: {
+    text: "sentences",
+    boolean: true,
+    help: "content_clean: one sentence per line",
+  },
+  "keep-boilerplate": {
+    text: "boilerplate",
+    boolean: true,
+    invert: true,
+    help: "content_clean: keep link dumps and share text",
+  },
+};
+Object.assign(SCRAPE_FLAGS, TEXT_FLAGS);
+
+// Exit code for a run that finished but crossed a health threshold
+const EXIT_UNHEALTHY = 2;
+
+function parseScrapeArgs(args) {
+  const options = {};
+  for (const [flag, spec] of Object.entries(SCRAPE_FLAGS)) {
+    options[flag] = { type: spec.boolean ? "boolean" : "string" };
+  }
+  const { values, positionals } = parseArgs({
+    args,
+    options,
+    allowPositionals: true,
+  });
+
+  const settings = { health: {}, text: {} };
+  for (const [flag, v] of Object.entries(values)) {
+    const spec = SCRAPE_FLAGS[flag];
+    if (spec.health) settings.health[spec.health] = toNumber(flag, v);
+    else if (spec.text) settings.text[spec.text] = spec.invert ? !v : v;
+    else if (flag === "headful") settings.headless = v ? false : "new";
+    else if (spec.boolean) settings[spec.key] = v;
+    else settings[spec.key] = spec.number ? toNumber(flag, v) : v;
+  }
+  return { positionals, settings };
+}
+
+// flag -> buildDataset option (lib/dataset.js)
+const DATASET_FLAGS = {
+  out: { key: "dir", help: "directory of the per-site files (default: data/)" },
+  "dataset-dir": { key: "datasetDir", help: "output (default: <out>/dataset)" },
+  split: {
+    key: "splits",
+    help: "train,validation,test shares (default: 0.8,0.1,0.1)",
+  },
+  balance: { key: "balance", help: "none | downsample (default: none)" },
+  "keep-duplicates": {
+    key: "dedup",
+    boolean: true,
+    invert: true,
+    help: "keep every copy of a near-duplicate cluster",
+  },
+  threshold: { key: "threshold", number: true, help: "near-duplicate, 0-1" },
+  seed: { key: "seed", number: true, help: "for --balance downsample" },
+  hf: { key: "hf", boolean: true, help: "write a Hugging Face dataset card" },
+};
+
+function printHelp() {
+  console.log("Usage: fake-news-scrapper <command> [options]\n");
+  console.log("Commands:");
+  console.log("  list                 show registered sites");
+  console.log("  scrape <site>        crawl one site");
+  console.log("  retry-failed <site>  re-process failed_<name>.jsonl");
+  console.log("  reextract <site>     re-run extraction over <out>/archive/");
+  console.log("  dedup                cluster duplicates across all sites");
+  console.log(
+    "  build-dataset        merge all sites into train/validation/test\n"
+  );
+  console.log("Scrape options:");
+  for (const [flag, spec] of Object.entries(SCRAPE_FLAGS)) {
+    const arg = spec.boolean ? "" : spec.number ? " <n>" : " <value>";
+    console.log(`  --${(flag + arg).padEnd(22)} ${spec.help}`);
+  }
+  console.log("\nDedup options:");
+  console.log("  --out <value>            directory of <name>.jsonl files");
+  console.log(
+    `  --threshold <n>          near-duplicate similarity, 0-1 (${DEDUP_DEFAULTS.threshold})`
+  );
+  console.log("  --merge                  also write deduped.jsonl");
+  console.log("\nBuild-dataset options:");
+  for (const [flag, spec] of Object.entries(DATASET_FLAGS)) {
+    const arg = spec.boolean ? "" : spec.number ? " <n>" : " <value>";
+    console.log(`  --${(flag + arg).padEnd(22)} ${spec.help}`);
+  }
+}
+
+const COMMANDS = {
+  list() {
+    for (const a of listAdapters()) {
+      const where = a.startUrl || a.listUrl(1);
+      const backend = (a.backend || "browser").padEnd(8);
+      console.log(
+        `${a.name.padEnd(16)} ${a.crawl.padEnd(10)} ${backend} ${where}`
+      );
+    }
+  },
+
+  async scrape(args) {
+    const { positionals, settings } = parseScrapeArgs(args);
+    const [site] = positionals;
+    if (!site) throw new Error("scrape: missing <site> (see `list`)");
+    const { health } = await runAdapter(getAdapter(site), settings);
+    if (health.failures.length > 0) {
+      console.error(`${site}: extraction looks broken, see the health report`);
+      process.exitCode = EXIT_UNHEALTHY;
+    }
+  },
+
+  // Same options as scrape; only the dead-lettered URLs are visited
+  async "retry-failed"(args) {
+    const { positionals, settings } = parseScrapeArgs(args);
+    const [site] = positionals;
+    if (!site) throw new Error("retry-failed: missing <site> (see `list`)");
+    const { failed } = await retryFailed(getAdapter(site), settings);
+    if (failed > 0) console.error(`${site}: ${failed} URLs still failing`);
+  },
+
+  // Same options as scrape; reads <out>/archive/, never the network
+  async reextract(args) {
+    const { positionals, settings } = parseScrapeArgs(args);
+    const [site] = positionals;
+    if (!site) throw new Error("reextract: missing <site> (see `list`)");
+    await reextract(getAdapter(site), settings);
+  },
+
+  // Reads every <name>.jsonl under --out; writes dedup_index.jsonl there
+  async dedup(args) {
+    const { values } = parseArgs({
+      args,
+      options: {
+        out: { type: "string" },
+        threshold: { type: "string" },
+        merge: { type: "boolean" },
+      },
+    });
+    const options = { merge: Boolean(values.merge) };
+    if (values.out) options.dir = values.out;
+    if (values.threshold !== undefined) {
+      options.threshold = toNumber("threshold", values.threshold);
+    }
+    await dedupeDataset(options);
+  },
+
+  async "build-dataset"(args) {
+    const options = {};
+    for (const flag of Object.keys(DATASET_FLAGS)) {
+      options[flag] = {
+        type: DATASET_FLAGS[flag].boolean ? "boolean" : "string",
+      };
+    }
+    const { values } = parseArgs({ args, options });
+    const settings = {};
+    for (const [flag, v] of Object.entries(values)) {
+      const spec = DATASET_FLAGS[flag];
+      if (spec.invert) settings[spec.key] = !v;
+      else settings[spec.key] = spec.number ? toNumber(flag, v) : v;
+    }
+    await buildDataset(settings);
+  },
+
+  help: printHelp,
+};
+
+async function main(argv = process.argv.slice(2)) {
+  const [command = "help", ...rest] = argv;
+  const run = COMMANDS[command];
+  if (!run) {
+    printHelp();
+    throw new Error(`Unknown command: ${command}`);
+  }
+  await run(rest);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, parseScrapeArgs, COMMANDS, EXIT_UNHEALTHY };
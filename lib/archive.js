@@ -0,0 +1,98 @@
+/** @format */
+
+// Raw page archive: with --archive every list and article page a crawl loads
+// is kept gzipped under <out>/archive/, named by the SHA-256 of its HTML, and
+// listed in <out>/archive/manifest.jsonl. `reextract` runs an adapter's
+// extractors over it again without touching the network.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const ARCHIVE_DIR = "archive";
+const MANIFEST_FILE = "manifest.jsonl";
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+function archiveDir(outDir) {
+  return path.join(outDir, ARCHIVE_DIR);
+}
+
+/**
+ * save() stores one page and adds a manifest line per fetch. Files are named
+ * by content, so every line keeps pointing at the HTML it describes: a
+ * re-fetched page that changed gets a file of its own, one that didn't
+ * shares the old one. `key` is the SHA-256 of the URL. latest() -> the newest manifest
+ * entry per URL, optionally only one adapter's or one type's. read(entry)
+ * -> the HTML.
+ */
+function createArchive(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  // `item` is the list card an article came from and `warcRecordId` its
+  // WARC response (with --warc), so reextract can rebuild the same record
+  function save({
+    url,
+    finalUrl,
+    type,
+    adapter,
+    html,
+    status,
+    headers,
+    item,
+    warcRecordId,
+  }) {
+    const hash = sha256(html);
+    const file = path.join(hash.slice(0, 2), `${hash}.html.gz`);
+    const full = path.join(dir, file);
+    if (!fs.existsSync(full)) {
+      fs.mkdirSync(path.dirname(full), { recursive: true });
+      fs.writeFileSync(full + ".tmp", zlib.gzipSync(html));
+      fs.renameSync(full + ".tmp", full);
+    }
+    const entry = {
+      url,
+      final_url: finalUrl || url,
+      key: sha256(url),
+      file,
+      type, // "list" | "article"
+      adapter,
+      status: status ?? null,
+      headers: headers || null,
+      item: item || null,
+      warc_record_id: warcRecordId || null,
+      sha256: hash,
+      bytes: Buffer.byteLength(html),
+      fetched_at: new Date().toISOString(),
+    };
+    fs.appendFileSync(manifestPath, JSON.stringify(entry) + "\n", "utf8");
+    return entry;
+  }
+
+  function latest({ adapter, type } = {}) {
+    const byUrl = new Map();
+    if (!fs.existsSync(manifestPath)) return [];
+    for (const line of fs.readFileSync(manifestPath, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (adapter && entry.adapter !== adapter) continue;
+        if (type && entry.type !== type) continue;
+        byUrl.set(entry.url, entry);
+      } catch {}
+    }
+    return Array.from(byUrl.values());
+  }
+
+  function read(entry) {
+    return zlib
+      .gunzipSync(fs.readFileSync(path.join(dir, entry.file)))
+      .toString("utf8");
+  }
+
+  return { dir, manifestPath, save, latest, read };
+}
+
+module.exports = { ARCHIVE_DIR, archiveDir, createArchive };
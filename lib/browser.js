@@ -0,0 +1,43 @@
+/** @format */
+
+// Browser lifecycle: one launch config and one way to open a tab.
+
+const puppeteer = require("puppeteer");
+
+const NAV_TIMEOUT_MS = 45000; // navigation timeout
+const ACCEPT_LANGUAGE = "bn,en;q=0.9";
+// Say who we are instead of posing as a desktop Chrome. Put a contact (URL
+// or e-mail) in --user-agent for real runs.
+const DEFAULT_USER_AGENT =
+  "fake-news-scrapper/1.0 (research crawler; Bangla fake news dataset)";
+
+async function launchBrowser({ headless = "new" } = {}) {
+  return puppeteer.launch({
+    headless,
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-dev-shm-usage",
+    ],
+    defaultViewport: { width: 1366, height: 900 },
+  });
+}
+
+async function openPage(
+  browser,
+  { timeout = NAV_TIMEOUT_MS, userAgent = DEFAULT_USER_AGENT } = {}
+) {
+  const page = await browser.newPage();
+  page.setDefaultNavigationTimeout(timeout);
+  await page.setExtraHTTPHeaders({ "Accept-Language": ACCEPT_LANGUAGE });
+  await page.setUserAgent(userAgent);
+  return page;
+}
+
+module.exports = {
+  NAV_TIMEOUT_MS,
+  ACCEPT_LANGUAGE,
+  DEFAULT_USER_AGENT,
+  launchBrowser,
+  openPage,
+};
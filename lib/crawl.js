@@ -0,0 +1,867 @@
+/** @format */
+
+// The two crawl patterns our sources use ("Load More" button and numbered
+// list pages), plus the per-article visit they share.
+
+const fs = require("fs");
+const path = require("path");
+const {
+  DEFAULT_USER_AGENT,
+  NAV_TIMEOUT_MS,
+  launchBrowser,
+  openPage,
+} = require("./browser");
+const { createHttpBrowser, createHttpPage } = require("./http");
+const { sleep, jitter, DEFAULT_JITTER_MS } = require("./timing");
+const {
+  DEFAULT_POOL_SIZE,
+  sharedScheduler,
+  throwIfThrottled,
+} = require("./scheduler");
+const {
+  RETRY_DEFAULTS,
+  HttpError,
+  SelectorError,
+  classifyError,
+  withRetry,
+} = require("./retry");
+const { buildRecord } = require("./record");
+const { textOptions } = require("./text");
+const { validateRecord } = require("./schema");
+const { extractStructuredData, pickStructuredFields } = require("./structured");
+const { extractEvidence, pickEvidence } = require("./evidence");
+const { extractMeta } = require("./meta");
+const { createHealth, printHealth, writeHealth } = require("./health");
+const { RobotsError, createRobots } = require("./robots");
+const {
+  DEFAULT_OUT_DIR,
+  createOutput,
+  removeOutput,
+  failedPath,
+  readFailed,
+} = require("./output");
+const { checkpointPath, createCheckpoint } = require("./state");
+const { archiveDir, createArchive } = require("./archive");
+const { warcDir, createWarc } = require("./warc");
+const { pickImages, fetchImage, createMediaStore } = require("./media");
+const { DEFAULT_SINKS } = require("./sinks");
+
+const DEFAULTS = {
+  headless: "new",
+  userAgent: DEFAULT_USER_AGENT,
+  ignoreRobots: false, // only for sites that gave permission
+  backend: null, // "browser" | "http"; null = the adapter's choice
+  navTimeoutMs: NAV_TIMEOUT_MS,
+  linkDelayMs: 1200, // per host: min gap between requests
+  jitterMs: DEFAULT_JITTER_MS,
+  concurrency: 1, // per host: pages in flight
+  poolSize: DEFAULT_POOL_SIZE, // whole process: pages in flight
+  sinks: DEFAULT_SINKS, // see lib/sinks
+  retries: RETRY_DEFAULTS.retries, // per URL, for timeouts, 5xx and the like
+  retryDelayMs: RETRY_DEFAULTS.baseMs, // first retry pause, then doubled
+  maxArticles: Infinity, // set a number to cap scraping early
+  // load-more
+  clickIntervalMs: 5000, // time to wait after each "Load More" click
+  maxClicks: 100000, // safety cap for "Load More" clicks
+  // paginated
+  firstPage: 1,
+  lastPage: 500, // safety cap
+  resume: false, // continue from the checkpoint instead of the first page
+  health: {}, // threshold overrides, see lib/health.js
+  text: {}, // content cleanup overrides, see lib/text.js
+  incremental: false, // stop once the listing reaches already-saved articles
+  knownStreak: 3, // incremental: consecutive known ids that mean "caught up"
+  archive: false, // keep every page in <outDir>/archive/ for reextract
+  warc: false, // write loaded pages to <outDir>/warc/<name>-<time>.warc.gz
+  media: false, // download article images into <outDir>/media/
+  maxImages: 20, // media: images per article
+};
+
+function resolveSettings(adapter, options = {}) {
+  return { ...DEFAULTS, ...adapter.defaults, ...options };
+}
+
+function reachedMax(ctx) {
+  const { maxArticles } = ctx.settings;
+  return maxArticles !== Infinity && ctx.saved >= maxArticles;
+}
+
+function shouldStop(ctx) {
+  return reachedMax(ctx) || ctx.caughtUp;
+}
+
+/**
+ * Incremental mode: listings are newest first, so a run of ids that were
+ * already in the output when we started means the rest is old news. Items
+ * from that point on are dropped and the crawl is told to stop. A streak,
+ * not a single hit, so one pinned old story can't end the crawl early.
+ */
+function cutAtKnown(ctx, items) {
+  const { incremental, knownStreak } = ctx.settings;
+  if (!incremental) return items;
+  for (let i = 0; i < items.length; i++) {
+    // carried over from the previous list page: a streak can span two
+    ctx.knownInARow = ctx.known.has(items[i].id) ? ctx.knownInARow + 1 : 0;
+    if (ctx.knownInARow >= knownStreak) {
+      console.log(`Caught up at #${items[i].id}; nothing newer below.`);
+      ctx.caughtUp = true;
+      return items.slice(0, i + 1);
+    }
+  }
+  return items;
+}
+
+// Run the adapter's list extractor in the page and tag each item with its id
+async function collectItems(ctx, page) {
+  const { adapter } = ctx;
+  const raw = await page.evaluate(
+    adapter.extractList,
+    page.url(),
+    adapter.selectors || {}
+  );
+  ctx.health.listed(raw.length);
+  return raw.map((it) => ({ ...it, id: adapter.articleId(it.url) || "" }));
+}
+
+// Tab options every page of a run is opened with
+function pageOptions(settings) {
+  return { timeout: settings.navTimeoutMs, userAgent: settings.userAgent };
+}
+
+// The adapter's politeness settings, as limits for the hosts it visits. A
+// robots.txt Crawl-delay longer than linkDelayMs wins.
+function hostOptions(settings, crawlDelayMs = 0) {
+  return {
+    intervalMs: Math.max(settings.linkDelayMs, crawlDelayMs || 0),
+    jitterMs: settings.jitterMs,
+    maxInFlight: Math.max(1, settings.concurrency),
+  };
+}
+
+// Navigate through the scheduler (waits its turn, backs off on 429/503),
+// retrying the whole visit on timeouts, 5xx and similar. URLs robots.txt
+// disallows throw RobotsError without being requested.
+async function schedule(ctx, url, task) {
+  const { settings } = ctx;
+  let crawlDelayMs = 0;
+  if (ctx.robots) {
+    const verdict = await ctx.robots.check(url);
+    if (!verdict.allowed) throw new RobotsError(url);
+    crawlDelayMs = verdict.crawlDelayMs;
+  }
+  return withRetry(
+    () => ctx.scheduler.run(url, task, hostOptions(settings, crawlDelayMs)),
+    { retries: settings.retries, baseMs: settings.retryDelayMs },
+    (err, n, delay) =>
+      console.warn(`Retry ${n} in ${delay}ms: ${url} (${err.message})`)
+  );
+}
+
+// Load a page; a 4xx/5xx or a throttled response is thrown
+async function navigate(page, url) {
+  const res = await page.goto(url, { waitUntil: "domcontentloaded" });
+  throwIfThrottled(url, res);
+  const status = res?.status() || 0;
+  if (status >= 400) throw new HttpError(url, status);
+  return res;
+}
+
+// Park a URL that failed for good in failed_<name>.jsonl for `retry-failed`
+function deadLetter(ctx, type, url, item, err) {
+  const { kind, status } = classifyError(err);
+  console.warn(`Failed (${kind}): ${url}: ${err.message}`);
+  ctx.settled?.add(url);
+  ctx.output.fail({
+    adapter: ctx.adapter.name,
+    type, // "article" | "list"
+    url,
+    id: item?.id || null,
+    item: item || null,
+    kind,
+    status: status ?? null,
+    message: String(err.message || err).slice(0, 500),
+    attempts: err.attempts || 1,
+    failed_at: new Date().toISOString(),
+  });
+  ctx.failed += 1;
+}
+
+// With --warc, write a page that loaded as served (only called once
+// navigate() succeeded, so error responses never get here); -> the
+// response's WARC-Record-ID
+async function warcPage(ctx, res) {
+  if (!ctx.warc || !res) return null;
+  try {
+    const req = res.request();
+    return ctx.warc.writeExchange({
+      url: res.url(),
+      method: req.method(),
+      requestHeaders: req.headers(),
+      status: res.status(),
+      statusText: res.statusText(),
+      headers: res.headers(),
+      body: await res.buffer(),
+    });
+  } catch (err) {
+    console.warn(`WARC: could not record ${res.url()}: ${err.message}`);
+    return null;
+  }
+}
+
+// With --archive, keep the page as loaded (for `reextract`)
+async function archivePage(ctx, page, res, type, item = null, warcId = null) {
+  if (!ctx.archive) return;
+  ctx.archive.save({
+    url: item?.url || page.url(),
+    finalUrl: page.url(),
+    type,
+    adapter: ctx.adapter.name,
+    html: await page.content(),
+    status: res?.status() ?? null,
+    headers: res?.headers() ?? null,
+    item,
+    warcRecordId: warcId,
+  });
+}
+
+// Run the adapter's article extractors on a loaded page -> { record,
+// fallbacks } | { skipped: true }; throws when the page has nothing in it.
+// `warcId` is the WARC response record the page came from, if any.
+async function extractRecord(ctx, page, item, warcId = null) {
+  const { adapter, settings } = ctx;
+  const data = await page.evaluate(
+    adapter.extractArticle,
+    item.url,
+    adapter.selectors || {}
+  );
+  // extractors return null for pages the adapter wants skipped
+  if (!data) return { skipped: true };
+  const found = adapter.structuredData
+    ? pickStructuredFields(await page.evaluate(extractStructuredData))
+    : null;
+  const evidence = adapter.evidence
+    ? pickEvidence(
+        await page.evaluate(extractEvidence, item.url, adapter.evidence),
+        item.url
+      )
+    : null;
+  const meta = await page.evaluate(extractMeta, item.url);
+  const record = buildRecord(
+    adapter,
+    item,
+    { ...data, ...evidence, meta },
+    found,
+    settings.text
+  );
+  if (!record.headline && !record.content) throw new SelectorError(item.url);
+  if (warcId) record.warc_record_id = warcId;
+  // with --media: which images to download once the page is closed
+  let images = null;
+  if (ctx.media) {
+    const body = adapter.images
+      ? await page.evaluate(extractEvidence, item.url, { root: adapter.images })
+      : null;
+    images = pickImages(meta?.image, body?.media);
+  }
+  return { record, fallbacks: data.fallbacks || [], images };
+}
+
+// -> { record, fallbacks } | { skipped: true }; throws when the page can't
+// be loaded or has nothing in it
+async function scrapeArticle(ctx, item) {
+  const { articleBrowser, adapter, settings } = ctx;
+  const p = await openPage(articleBrowser, pageOptions(settings));
+  try {
+    const res = await navigate(p, item.url);
+    if (adapter.articleWaitFor) {
+      await p
+        .waitForSelector(adapter.articleWaitFor, { timeout: 5000 })
+        .catch(() => {});
+    }
+    const warcId = await warcPage(ctx, res);
+    await archivePage(ctx, p, res, "article", item, warcId);
+    return await extractRecord(ctx, p, item, warcId);
+  } finally {
+    await p.close().catch(() => {});
+  }
+}
+
+// Record one article's outcome; true if a row was written
+function saveResult(ctx, item, result) {
+  const { record: rec, skipped, fallbacks } = result;
+  const { id } = item;
+  if (skipped) {
+    ctx.seen.add(id);
+    ctx.checkpoint?.markProcessed(id);
+  }
+  if (!rec || reachedMax(ctx)) return false;
+  ctx.health.record(rec, fallbacks);
+  const errors = validateRecord(rec);
+  if (errors.length > 0) {
+    console.warn(`Rejected #${rec.article_id}: ${errors.join("; ")}`);
+    ctx.output.reject(rec, errors);
+    ctx.settled?.add(item.url);
+    ctx.health.rejected();
+    ctx.rejected += 1;
+    return false;
+  }
+  ctx.output.write(rec);
+  ctx.seen.add(id);
+  ctx.checkpoint?.markProcessed(id);
+  ctx.saved += 1;
+  console.log(
+    `Saved #${rec.article_id} (${ctx.saved} total): ${
+      rec.headline?.slice(0, 70) || "(no title)"
+    }`
+  );
+  return true;
+}
+
+// One image into the media store, through the scheduler like a page and
+// once however many articles share it -> the record's entry; a failure is
+// noted on the entry, not thrown
+async function downloadImage(ctx, image) {
+  const { settings } = ctx;
+  try {
+    const stored = await ctx.media.fetchOnce(image.url, () =>
+      schedule(ctx, image.url, () =>
+        fetchImage(image.url, {
+          userAgent: settings.userAgent,
+          timeout: settings.navTimeoutMs,
+        })
+      )
+    );
+    return { ...image, ...stored };
+  } catch (err) {
+    console.warn(`Image failed: ${image.url}: ${err.message}`);
+    return { ...image, error: String(err.message || err).slice(0, 200) };
+  }
+}
+
+// With --media, fetch the article's images (after its page is released,
+// so they queue for pool slots like any other request) onto record.images
+async function attachImages(ctx, result) {
+  const { record, images } = result;
+  if (!record || !images?.length) return;
+  record.images = [];
+  for (const image of images.slice(0, ctx.settings.maxImages)) {
+    record.images.push(await downloadImage(ctx, image));
+  }
+}
+
+// Hand every unseen item to the scheduler, which decides when each one runs
+async function processItems(ctx, items) {
+  const fresh = cutAtKnown(ctx, items).filter(
+    ({ id }) => id && !ctx.seen.has(id)
+  );
+  let savedNow = 0;
+
+  await Promise.all(
+    fresh.map(async (item) => {
+      const result = await schedule(ctx, item.url, () =>
+        reachedMax(ctx) ? null : scrapeArticle(ctx, item)
+      ).catch((err) => {
+        if (err instanceof RobotsError) {
+          console.log(err.message);
+          return { skipped: true };
+        }
+        ctx.health.failed();
+        deadLetter(ctx, "article", item.url, item, err);
+        return null;
+      });
+      if (result) await attachImages(ctx, result);
+      if (result && saveResult(ctx, item, result)) savedNow += 1;
+    })
+  );
+  // The checkpoint only vouches for what the sinks have written out
+  await ctx.output.flush();
+  ctx.checkpoint.save();
+  return savedNow;
+}
+
+// earki's button; other sites set adapter.loadMore
+const LOAD_MORE = { button: "button.ajax_load_btn", doneText: "আর নেই" };
+
+// Check if the button already says there is nothing more ("আর নেই")
+function noMoreCheck(button, doneText) {
+  const btn = document.querySelector(button);
+  const btnText = btn ? (btn.textContent || "").trim() : "";
+  return Boolean(doneText) && btnText.includes(doneText);
+}
+
+// Keep clicking "Load More"; after each click, process newly added cards
+async function crawlLoadMore(ctx) {
+  const { adapter, settings } = ctx;
+  const { button, doneText } = { ...LOAD_MORE, ...adapter.loadMore };
+  const page = await openPage(ctx.browser, pageOptions(settings));
+
+  console.log("Opening list:", adapter.startUrl);
+  const res = await schedule(ctx, adapter.startUrl, () =>
+    navigate(page, adapter.startUrl)
+  );
+  await warcPage(ctx, res);
+  if (adapter.listWaitFor) {
+    await page
+      .waitForSelector(adapter.listWaitFor, { timeout: 15000 })
+      .catch(() => {});
+  }
+
+  // On resume, cards up to the checkpointed click were all handled last
+  // time: click through them without re-reading the list.
+  const { checkpoint } = ctx;
+  const skipUntil = checkpoint.resumed ? checkpoint.data.clicks : 0;
+  if (skipUntil > 0) {
+    console.log(`Resuming: fast-forwarding ${skipUntil} Load More clicks`);
+  }
+
+  // 1) Process the initially loaded items
+  if (skipUntil === 0) await processItems(ctx, await collectItems(ctx, page));
+
+  // 2) Click, wait for new HTML to append, process, repeat
+  let clicks = 0;
+  while (!shouldStop(ctx)) {
+    const done = await page.evaluate(noMoreCheck, button, doneText);
+    if (done) {
+      console.log(`Found "${doneText}" on the button. Stop clicking.`);
+      break;
+    }
+
+    // Check button presence/visibility
+    const state = await page.evaluate((button) => {
+      const btn = document.querySelector(button);
+      if (!btn) return { exists: false, visible: false, text: "" };
+      const style = window.getComputedStyle(btn);
+      const visible =
+        style.visibility !== "hidden" &&
+        style.display !== "none" &&
+        !btn.hasAttribute("disabled");
+      return { exists: true, visible, text: (btn.textContent || "").trim() };
+    }, button);
+
+    if (!state.exists) {
+      console.log("Load More button not found. Stop clicking.");
+      break;
+    }
+
+    if (state.visible) {
+      console.log(`Click ${clicks + 1}: Load More (text="${state.text}")`);
+      try {
+        await page.click(button, { delay: 40 });
+      } catch (e) {
+        console.log("Click failed (ignored):", e.message);
+      }
+
+      // Wait for either the done text or usual delay to let new HTML append
+      await Promise.race([
+        page
+          .waitForFunction(
+            noMoreCheck,
+            { polling: 500, timeout: jitter(8000, settings.jitterMs) },
+            button,
+            doneText
+          )
+          .catch(() => {}),
+        sleep(jitter(settings.clickIntervalMs, settings.jitterMs)),
+      ]);
+
+      if (clicks + 1 >= skipUntil) {
+        await processItems(ctx, await collectItems(ctx, page));
+      }
+      if (clicks + 1 > checkpoint.data.clicks) checkpoint.setClicks(clicks + 1);
+    } else {
+      // not visible yet—wait and re-check (e.g., while loading)
+      await sleep(jitter(1500, settings.jitterMs));
+    }
+
+    if (++clicks >= settings.maxClicks) {
+      console.log("Hit maxClicks safety cap. Stopping.");
+      break;
+    }
+  }
+
+  // The list as it stands after the last click holds every card
+  await archivePage(ctx, page, res, "list");
+  await page.close().catch(() => {});
+}
+
+// Load one listing page and read its items
+function loadList(ctx, page, url) {
+  const { adapter } = ctx;
+  return schedule(ctx, url, async () => {
+    const res = await navigate(page, url);
+    if (adapter.listWaitFor) {
+      await page
+        .waitForSelector(adapter.listWaitFor, { timeout: 20000 })
+        .catch(() => {});
+    }
+    await archivePage(ctx, page, res, "list", null, await warcPage(ctx, res));
+    return collectItems(ctx, page);
+  });
+}
+
+// Walk /page/N listings until a 4xx, an empty page or lastPage. A list
+// page that keeps failing otherwise is dead-lettered and skipped.
+async function crawlPaginated(ctx) {
+  const { adapter, settings } = ctx;
+  const { checkpoint } = ctx;
+  const page = await openPage(ctx.browser, pageOptions(settings));
+
+  // A crash mid-page leaves that page in the checkpoint; start over on it
+  let start = settings.firstPage;
+  if (checkpoint.resumed && checkpoint.data.page) {
+    start = Math.max(start, checkpoint.data.page);
+    console.log(`Resuming at list page ${start}`);
+  }
+
+  for (let n = start; n <= settings.lastPage; n++) {
+    if (shouldStop(ctx)) break;
+    const listUrl = adapter.listUrl(n);
+    console.log(`[list] ${listUrl}`);
+    checkpoint.setPage(n);
+
+    let items;
+    try {
+      items = await loadList(ctx, page, listUrl);
+    } catch (err) {
+      if (err instanceof RobotsError) {
+        console.log(`  -> ${err.message}; stopping.`);
+        break;
+      }
+      if (err.kind === "http" && err.status < 500) {
+        console.log(`  -> HTTP ${err.status}; stopping.`);
+        break;
+      }
+      deadLetter(ctx, "list", listUrl, null, err);
+      continue;
+    }
+    if (items.length === 0) {
+      console.log("  -> no articles; stopping.");
+      break;
+    }
+
+    const saved = await processItems(ctx, items);
+    console.log(`Page ${n} → saved ${saved} (running total ${ctx.saved})`);
+  }
+
+  await page.close().catch(() => {});
+}
+
+const CRAWLERS = { "load-more": crawlLoadMore, paginated: crawlPaginated };
+
+const BACKENDS = {
+  browser: (settings) => launchBrowser({ headless: settings.headless }),
+  http: () => createHttpBrowser(),
+};
+
+/**
+ * Start what the crawl needs: `browser` for list pages, `articleBrowser` for
+ * articles. Both follow the backend setting (adapter.backend unless
+ * overridden), except that clicking "Load More" always needs Chromium.
+ * Chromium is launched at most once and only if something uses it; with
+ * lists=false no list backend is started at all.
+ */
+async function openBackends(adapter, settings, { lists = true } = {}) {
+  const backend = settings.backend || adapter.backend || "browser";
+  if (!BACKENDS[backend]) throw new Error(`Unknown backend: ${backend}`);
+  const listBackend = adapter.crawl === "load-more" ? "browser" : backend;
+
+  const started = {};
+  const start = async (kind) => {
+    if (!started[kind]) started[kind] = await BACKENDS[kind](settings);
+    return started[kind];
+  };
+  const browser = lists ? await start(listBackend) : null;
+  const articleBrowser = await start(backend);
+  console.log(
+    lists
+      ? `Backend: lists via ${listBackend}, articles via ${backend}`
+      : `Backend: articles via ${backend}`
+  );
+  return {
+    browser,
+    articleBrowser,
+    close: () => Promise.all(Object.values(started).map((b) => b.close())),
+  };
+}
+
+// Output files, checkpoint, backends and counters for one run. `listing`:
+// the run walks the adapter's listing (a scrape), so its health report
+// checks for list links and is written to <name>.health.json
+async function openRun(adapter, settings, { resume, lists, listing = true }) {
+  textOptions({ ...adapter.text, ...settings.text }); // bad --digits: fail now
+  const name = settings.outputName || adapter.output;
+  const output = createOutput({
+    dir: settings.outDir,
+    name,
+    sinks: settings.sinks,
+  });
+  const checkpoint = createCheckpoint({
+    file: checkpointPath(output.dir, name),
+    adapter,
+    resume,
+  });
+
+  // Ids already in the output are never written again, resume or not
+  const known = await output.existingIds();
+  const seen = new Set(known);
+  for (const id of checkpoint.processed) seen.add(id);
+  if (seen.size > 0) console.log(`Skipping ${seen.size} known articles`);
+
+  const backends = await openBackends(adapter, settings, { lists });
+  return {
+    adapter,
+    settings,
+    name,
+    backends,
+    browser: backends.browser,
+    articleBrowser: backends.articleBrowser,
+    output,
+    checkpoint,
+    known,
+    seen,
+    scheduler:
+      settings.scheduler || sharedScheduler({ poolSize: settings.poolSize }),
+    robots: settings.ignoreRobots
+      ? null
+      : createRobots({
+          userAgent: settings.userAgent,
+          timeout: settings.navTimeoutMs,
+        }),
+    listing,
+    health: createHealth(adapter, settings.health, { lists: listing }),
+    archive: settings.archive ? createArchive(archiveDir(output.dir)) : null,
+    warc: settings.warc
+      ? createWarc({
+          dir: warcDir(output.dir),
+          name,
+          userAgent: settings.userAgent,
+          robots: !settings.ignoreRobots,
+        })
+      : null,
+    media: settings.media ? createMediaStore(output.dir) : null,
+    caughtUp: false,
+    knownInARow: 0, // incremental: consecutive known ids so far
+    saved: 0,
+    rejected: 0,
+    failed: 0,
+  };
+}
+
+// Summary, health report; -> { saved, rejected, failed, health }
+function closeRun(ctx) {
+  const { output, checkpoint, name } = ctx;
+  console.log(`Done. Articles saved: ${ctx.saved}`);
+  if (ctx.rejected > 0) {
+    console.log(`Rejected ${ctx.rejected}:`, output.rejectedPath);
+  }
+  if (ctx.failed > 0) {
+    console.log(`Failed ${ctx.failed} (see retry-failed):`, output.failedPath);
+  }
+  for (const sink of output.sinks) {
+    console.log(`${sink.kind.padEnd(7)}:`, sink.path);
+  }
+  if (checkpoint) console.log("state  :", checkpoint.file);
+  if (ctx.archive) console.log("archive:", ctx.archive.manifestPath);
+  if (ctx.warc) console.log("warc   :", ctx.warc.file);
+  if (ctx.media) console.log("media  :", ctx.media.indexPath);
+
+  const health = ctx.health.report();
+  printHealth(health);
+  // retry-failed and reextract see a fraction of the site: their report
+  // must not replace the scrape's
+  if (ctx.listing !== false) {
+    writeHealth(path.join(output.dir, `${name}.health.json`), health);
+  }
+  return {
+    saved: ctx.saved,
+    rejected: ctx.rejected,
+    failed: ctx.failed,
+    health,
+  };
+}
+
+/**
+ * Scrape one site end to end: start the backends, walk the adapter's
+ * listing and append every record to <outDir>/<name>.{jsonl,csv}, where
+ * name is settings.outputName or the adapter's default. Resolves to
+ * { saved, rejected, failed, health }; health.failures is empty for a good
+ * run.
+ */
+async function runAdapter(adapter, options = {}) {
+  const settings = resolveSettings(adapter, options);
+  if (settings.incremental && settings.resume) {
+    throw new Error("--incremental starts from the newest page; drop --resume");
+  }
+  const crawl = CRAWLERS[adapter.crawl];
+  if (!crawl) throw new Error(`Unknown crawl type: ${adapter.crawl}`);
+
+  const ctx = await openRun(adapter, settings, {
+    resume: settings.resume,
+    lists: true,
+  });
+  try {
+    await crawl(ctx);
+    ctx.checkpoint.finish();
+  } finally {
+    await ctx.backends.close();
+    await ctx.output.close();
+  }
+  return closeRun(ctx);
+}
+
+/**
+ * Re-process only what failed_<name>.jsonl lists: articles are visited
+ * again, list pages re-read and their new articles visited. What fails
+ * again is written back to the dead-letter file. Entries are held in
+ * failed_<name>.jsonl.retrying meanwhile, so a crash loses nothing.
+ */
+async function retryFailed(adapter, options = {}) {
+  const settings = resolveSettings(adapter, options);
+  const name = settings.outputName || adapter.output;
+  const file = failedPath(settings.outDir || DEFAULT_OUT_DIR, name);
+  const parked = file + ".retrying";
+
+  const byUrl = new Map();
+  for (const e of [...readFailed(parked), ...readFailed(file)]) {
+    byUrl.set(e.url, e);
+  }
+  const entries = Array.from(byUrl.values());
+  if (entries.length === 0) {
+    console.log("Nothing to retry:", file);
+    return { saved: 0, rejected: 0, failed: 0, health: null };
+  }
+  fs.writeFileSync(
+    parked,
+    entries.map((e) => JSON.stringify(e) + "\n").join(""),
+    "utf8"
+  );
+  fs.rmSync(file, { force: true });
+  console.log(`Retrying ${entries.length} failed URLs from ${file}`);
+
+  const lists = entries.filter((e) => e.type === "list");
+  const ctx = await openRun(adapter, settings, {
+    resume: true,
+    lists: lists.length > 0,
+    listing: false,
+  });
+  // URLs rejected or failed again; saved and skipped ones are in ctx.seen.
+  // Anything else was cut off by --max-articles
+  ctx.settled = new Set();
+  const done = new Set();
+  try {
+    const articles = entries.filter((e) => e.type !== "list");
+    await processItems(
+      ctx,
+      articles.map((e) => ({ ...e.item, url: e.url, id: e.id || "" }))
+    );
+    for (const e of articles) {
+      if (ctx.settled.has(e.url) || ctx.seen.has(e.id)) done.add(e);
+    }
+    for (const entry of lists) {
+      if (shouldStop(ctx)) break;
+      const page = await openPage(ctx.browser, pageOptions(settings));
+      try {
+        await processItems(ctx, await loadList(ctx, page, entry.url));
+      } catch (err) {
+        if (err instanceof RobotsError) console.log(err.message);
+        else deadLetter(ctx, "list", entry.url, null, err);
+        done.add(entry);
+      } finally {
+        await page.close().catch(() => {});
+      }
+      // a list cut short by --max-articles is read again next time
+      if (!reachedMax(ctx)) done.add(entry);
+    }
+    // What this run never got to goes back to the dead-letter file
+    for (const e of entries) if (!done.has(e)) ctx.output.fail(e);
+    fs.rmSync(parked, { force: true });
+  } finally {
+    await ctx.backends.close();
+    await ctx.output.close();
+  }
+  return closeRun(ctx);
+}
+
+/**
+ * Run the adapter's article extractors again over the pages a crawl with
+ * archive=true kept in <outDir>/archive/, without the network. Records go
+ * to <outDir>/<name>_reextracted.* (or settings.outputName), rebuilt from
+ * scratch each time. The newest snapshot of each URL is used.
+ */
+async function reextract(adapter, options = {}) {
+  const settings = resolveSettings(adapter, options);
+  textOptions({ ...adapter.text, ...settings.text });
+  const dir = settings.outDir || DEFAULT_OUT_DIR;
+  const name = settings.outputName || `${adapter.output}_reextracted`;
+  if (name === adapter.output) {
+    throw new Error(
+      `reextract rebuilds its output; pick a --name other than ${name}`
+    );
+  }
+  const archive = createArchive(archiveDir(dir));
+  const entries = archive.latest({ adapter: adapter.name, type: "article" });
+  if (entries.length === 0) {
+    console.log(`Nothing archived for ${adapter.name}:`, archive.manifestPath);
+    return { saved: 0, rejected: 0, failed: 0, health: null };
+  }
+  console.log(`Re-extracting ${entries.length} archived articles`);
+
+  removeOutput(dir, name);
+  const ctx = {
+    adapter,
+    settings,
+    name,
+    output: createOutput({ dir, name, sinks: settings.sinks }),
+    checkpoint: null,
+    seen: new Set(),
+    listing: false,
+    health: createHealth(adapter, settings.health, { lists: false }),
+    archive: null,
+    saved: 0,
+    rejected: 0,
+    failed: 0,
+  };
+  const page = createHttpPage();
+  try {
+    for (const entry of entries) {
+      if (reachedMax(ctx)) break;
+      const item = {
+        ...entry.item,
+        url: entry.url,
+        id: entry.item?.id || adapter.articleId(entry.url) || "",
+      };
+      await page.setContent(archive.read(entry), { url: entry.final_url });
+      try {
+        const result = await extractRecord(
+          ctx,
+          page,
+          item,
+          entry.warc_record_id
+        );
+        saveResult(ctx, item, result);
+      } catch (err) {
+        console.warn(`Failed: ${entry.url}: ${err.message}`);
+        ctx.health.failed();
+      }
+    }
+  } finally {
+    await page.close();
+    await ctx.output.close();
+  }
+  return closeRun(ctx);
+}
+
+module.exports = {
+  DEFAULTS,
+  resolveSettings,
+  collectItems,
+  extractRecord,
+  scrapeArticle,
+  processItems,
+  crawlLoadMore,
+  crawlPaginated,
+  openBackends,
+  runAdapter,
+  retryFailed,
+  reextract,
+};
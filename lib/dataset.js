@@ -0,0 +1,455 @@
+/** @format */
+
+// build-dataset: every per-site dump in data/ -> one deduplicated, labelled
+// fake-vs-real set with train/validation/test splits and a manifest.
+
+const fs = require("fs");
+const path = require("path");
+const { writeToString } = require("fast-csv");
+const { LABELS, CATEGORIES } = require("./schema");
+const { normalizeDate } = require("./dates");
+const { mapVerdict } = require("./verdict");
+const { cleanText } = require("./text");
+const { datasetFiles, fingerprint, clusterEntries } = require("./dedup");
+const { DEFAULT_OUT_DIR, writeLinesAtomic } = require("./output");
+const { readJsonl } = require("./sinks/jsonl");
+const { CSV_OPTIONS, toCsvValue, readCsv } = require("./sinks/csv");
+
+const SPLITS = ["train", "validation", "test"];
+
+const DATASET_DEFAULTS = {
+  dir: DEFAULT_OUT_DIR, // where the per-site files are
+  datasetDir: null, // default <dir>/dataset
+  splits: [0.8, 0.1, 0.1], // train / validation / test shares
+  balance: "none", // "none" | "downsample" (majority class to minority size)
+  dedup: true, // keep one record per near-duplicate cluster
+  threshold: 0.7, // near-duplicate similarity, see lib/dedup.js
+  seed: 1, // for downsampling
+  hf: false, // also write a Hugging Face dataset card (README.md)
+};
+const BALANCE_MODES = ["none", "downsample"];
+
+// One row of the dataset, in column order
+const DATASET_FIELDS = [
+  "id",
+  "publisher",
+  "article_id",
+  "source",
+  "category",
+  "topic",
+  "published_at",
+  "headline",
+  "content",
+  "label",
+  "label_name",
+  "cluster_id",
+];
+
+// Dumps from before lib/schema.js (data/*_import.*) use site domains as the
+// publisher, put the site's section in `category` and have no label_name
+const PUBLISHER_ALIASES = {
+  "jachai.org": "jachai",
+  "fact-watch.org": "fact-watch",
+  factwatch: "fact-watch",
+  "rumorscanner.com": "rumor-scanner",
+  rumorscanner: "rumor-scanner",
+  "earki.co": "earki",
+  "prothomalo.com": "prothomalo",
+  "jamuna.tv": "jamuna-tv",
+};
+const PUBLISHER_CATEGORIES = {
+  jachai: "fact-check",
+  "fact-watch": "fact-check",
+  "rumor-scanner": "fact-check",
+  prothomalo: "news",
+  "jamuna-tv": "news",
+};
+
+// label_name, in order of trust: the record's own, the checker's rating, the
+// binary label when it says real, then what the category implies. Old
+// fact-check dumps set label 1 on debunks (a "false" matching bug), so
+// their binary label is not trusted.
+function labelNameOf(raw, category) {
+  if (LABELS[raw.label_name]) return raw.label_name;
+  const fromVerdict = mapVerdict(raw.verdict);
+  if (fromVerdict) return fromVerdict;
+  if (category !== "fact-check" && String(raw.label) === "1") return "real";
+  if (category === "jokes" || category === "satire") return "satire";
+  if (category === "fact-check") return "fake";
+  return null;
+}
+
+/**
+ * A record from any dump -> { row } in DATASET_FIELDS (cluster_id not yet
+ * set), or { dropped: reason }.
+ */
+function toDatasetRow(raw) {
+  const alias = String(raw.publisher || "")
+    .trim()
+    .toLowerCase();
+  const publisher = PUBLISHER_ALIASES[alias] || alias;
+  const articleId = String(raw.article_id || "").trim();
+  if (!publisher || !articleId) return { dropped: "no id" };
+
+  let category = raw.category || null;
+  let topic = raw.topic || null;
+  if (!CATEGORIES.includes(category)) {
+    topic = topic || category;
+    category = PUBLISHER_CATEGORIES[publisher] || null;
+  }
+  const labelName = labelNameOf(raw, category);
+  if (!labelName) return { dropped: "no label" };
+
+  const headline = String(raw.headline || "")
+    .normalize("NFC")
+    .trim();
+  const content =
+    raw.content_clean ?? cleanText(raw.content_raw ?? raw.content ?? null);
+  if (!headline && !content) return { dropped: "empty" };
+
+  return {
+    row: {
+      id: `${publisher}:${articleId}`,
+      publisher,
+      article_id: articleId,
+      source: raw.source || null,
+      category,
+      topic,
+      published_at: normalizeDate(raw.published_at),
+      headline,
+      content: content || null,
+      label: LABELS[labelName].value,
+      label_name: labelName,
+      cluster_id: null,
+    },
+  };
+}
+
+/**
+ * The files to read: every <dir>/*.jsonl dump, plus <dir>/*.csv where no
+ * JSONL of the same name exists (older runs wrote both with the same rows).
+ * `reextract` output (<name>_reextracted.*) comes first: the first copy of
+ * an id wins, and a re-extracted row replaces the one the crawl wrote.
+ */
+function sourceFiles(dir) {
+  const jsonl = datasetFiles(dir);
+  const stems = new Set(jsonl.map((f) => path.basename(f, ".jsonl")));
+  const csv = fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".csv") && !stems.has(path.basename(f, ".csv")))
+    .sort()
+    .map((f) => path.join(dir, f));
+  const reextracted = (f) => /_reextracted\.(jsonl|csv)$/.test(f);
+  const files = [...jsonl, ...csv];
+  return [
+    ...files.filter(reextracted),
+    ...files.filter((f) => !reextracted(f)),
+  ];
+}
+
+// mulberry32: a small seeded PRNG, so a rebuild picks the same rows
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(list, random) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Drop whole clusters of the bigger class until it is no bigger than the other
+function downsample(clusters, random) {
+  const byClass = [0, 1].map((c) =>
+    clusters.filter((cl) => cl.rows[0].label === c)
+  );
+  const size = (list) => list.reduce((n, cl) => n + cl.rows.length, 0);
+  const target = Math.min(size(byClass[0]), size(byClass[1]));
+  if (target === 0) {
+    console.warn("balance: one class has no records; left unbalanced");
+    return clusters;
+  }
+  return byClass.flatMap((list) => {
+    if (size(list) <= target) return list;
+    const kept = [];
+    let n = 0;
+    for (const cl of shuffle(list, random)) {
+      if (n + cl.rows.length > target) continue;
+      kept.push(cl);
+      n += cl.rows.length;
+    }
+    return kept;
+  });
+}
+
+/**
+ * Stratified and time-aware: clusters are grouped by publisher and
+ * label_name, each group is ordered by date, and its newest share goes to
+ * test, the share before that to validation, the rest (and anything
+ * undated) to train. A cluster never straddles two splits.
+ */
+function assignSplits(clusters, shares) {
+  const strata = new Map();
+  for (const cl of clusters) {
+    const { publisher, label_name } = cl.rows[0];
+    const key = `${publisher}|${label_name}`;
+    if (!strata.has(key)) strata.set(key, []);
+    strata.get(key).push(cl);
+  }
+  const [, validationShare, testShare] = shares;
+  for (const list of strata.values()) {
+    const time = (cl) => Date.parse(cl.rows[0].published_at) || -Infinity;
+    list.sort((a, b) => time(a) - time(b) || (a.id < b.id ? -1 : 1));
+    const nTest = Math.round(list.length * testShare);
+    const nValidation = Math.round(list.length * validationShare);
+    list.forEach((cl, i) => {
+      const fromEnd = list.length - i;
+      cl.split =
+        fromEnd <= nTest
+          ? "test"
+          : fromEnd <= nTest + nValidation
+          ? "validation"
+          : "train";
+    });
+  }
+}
+
+function countRows(rows) {
+  const tally = (key) => {
+    const counts = {};
+    for (const r of rows) counts[r[key]] = (counts[r[key]] || 0) + 1;
+    return counts;
+  };
+  const dates = rows
+    .map((r) => r.published_at)
+    .filter(Boolean)
+    .sort();
+  return {
+    records: rows.length,
+    by_label: tally("label_name"),
+    by_class: tally("label"),
+    by_source: tally("publisher"),
+    from: dates[0] || null,
+    to: dates[dates.length - 1] || null,
+  };
+}
+
+// YAML front matter `datasets.load_dataset(<datasetDir>)` reads
+function datasetCard(manifest) {
+  const features = DATASET_FIELDS.map((f) =>
+    f === "label"
+      ? "  - name: label\n    dtype:\n      class_label:\n        names:\n" +
+        "          '0': fake\n          '1': real"
+      : `  - name: ${f}\n    dtype: string`
+  ).join("\n");
+  const files = SPLITS.map((s) => `  - split: ${s}\n    path: ${s}.jsonl`).join(
+    "\n"
+  );
+  const rows = SPLITS.map((s) => {
+    const c = manifest.splits[s];
+    return `| ${s} | ${c.records} | ${c.by_class[0] || 0} | ${
+      c.by_class[1] || 0
+    } | ${c.from || ""} | ${c.to || ""} |`;
+  }).join("\n");
+  return [
+    "---",
+    "language:",
+    "- bn",
+    "task_categories:",
+    "- text-classification",
+    "configs:",
+    "- config_name: default",
+    "  data_files:",
+    files,
+    "dataset_info:",
+    "  features:",
+    features,
+    "---",
+    "",
+    "# Bangla fake vs real news",
+    "",
+    `Built by \`fake-news-scrapper build-dataset\` on ${manifest.created_at}.`,
+    "`label` is 1 for real news and 0 for fake, misleading or satire",
+    "(`label_name` says which). Splits are by time within each source and",
+    "label: test holds the newest articles. Near duplicates share a",
+    "`cluster_id` and never cross splits. Counts per source and label are",
+    "in `manifest.json`.",
+    "",
+    "| split | records | fake | real | from | to |",
+    "| --- | --- | --- | --- | --- | --- |",
+    rows,
+    "",
+  ].join("\n");
+}
+
+function parseShares(splits) {
+  const shares = (
+    Array.isArray(splits) ? splits : String(splits).split(",")
+  ).map(Number);
+  const sum = shares.reduce((a, b) => a + b, 0);
+  if (
+    shares.length !== 3 ||
+    shares.some((s) => !Number.isFinite(s) || s < 0) ||
+    Math.abs(sum - 1) > 1e-6
+  ) {
+    throw new Error(
+      `splits must be three shares (train,validation,test) adding up to 1, got ${splits}`
+    );
+  }
+  return shares;
+}
+
+/**
+ * Read every dump in <dir>, map it onto one schema, drop duplicates,
+ * optionally balance the classes, split, and write <datasetDir>/
+ * {train,validation,test}.{jsonl,csv} plus manifest.json (and README.md
+ * with hf=true). Returns the manifest.
+ */
+async function buildDataset(options = {}) {
+  const settings = { ...DATASET_DEFAULTS, ...options };
+  const shares = parseShares(settings.splits);
+  if (!BALANCE_MODES.includes(settings.balance)) {
+    throw new Error(
+      `balance must be one of ${BALANCE_MODES.join("/")}, got ${
+        settings.balance
+      }`
+    );
+  }
+  const outDir = settings.datasetDir || path.join(settings.dir, "dataset");
+  const dropped = {};
+  const drop = (reason, n = 1) =>
+    (dropped[reason] = (dropped[reason] || 0) + n);
+
+  // Read and normalise; the first copy of an id wins
+  const rows = [];
+  const seen = new Set();
+  const inputs = [];
+  for (const file of sourceFiles(settings.dir)) {
+    const read = file.endsWith(".csv") ? readCsv(file) : readJsonl(file);
+    const input = { file: path.basename(file), rows: 0, kept: 0 };
+    for await (const raw of read) {
+      input.rows += 1;
+      const { row, dropped: reason } = toDatasetRow(raw);
+      if (reason) drop(reason);
+      else if (seen.has(row.id)) drop("duplicate id");
+      else {
+        seen.add(row.id);
+        rows.push(row);
+        input.kept += 1;
+      }
+    }
+    inputs.push(input);
+  }
+  console.log(
+    `build-dataset: ${rows.length} records from ${inputs.length} files`
+  );
+
+  const entries = rows.map((row, index) => ({
+    index,
+    key: row.id,
+    published_at: row.published_at,
+    label_name: row.label_name,
+    row,
+    fp: fingerprint({ headline: row.headline, content: row.content }),
+  }));
+  const { clusters: found } = clusterEntries(entries, settings);
+  let clusters = found.map(({ id, members, conflict }) => {
+    for (const m of members) m.row.cluster_id = id;
+    const kept = settings.dedup ? members.slice(0, 1) : members;
+    if (kept.length < members.length) {
+      drop("near duplicate", members.length - kept.length);
+    }
+    return { id, conflict, rows: kept.map((m) => m.row) };
+  });
+  const conflicts = clusters.filter((cl) => cl.conflict).length;
+
+  if (settings.balance === "downsample") {
+    const before = clusters.reduce((n, cl) => n + cl.rows.length, 0);
+    clusters = downsample(clusters, seededRandom(settings.seed));
+    const after = clusters.reduce((n, cl) => n + cl.rows.length, 0);
+    if (before > after) drop("balance", before - after);
+  }
+  assignSplits(clusters, shares);
+
+  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+  const bySplit = Object.fromEntries(SPLITS.map((s) => [s, []]));
+  for (const cl of clusters) bySplit[cl.split].push(...cl.rows);
+  const files = {};
+  for (const split of SPLITS) {
+    const list = bySplit[split].sort((a, b) => (a.id < b.id ? -1 : 1));
+    const jsonl = path.join(outDir, `${split}.jsonl`);
+    const csv = path.join(outDir, `${split}.csv`);
+    await writeLinesAtomic(
+      jsonl,
+      list.map((r) => JSON.stringify(r) + "\n")
+    );
+    const table = list.map((r) => DATASET_FIELDS.map((f) => toCsvValue(r[f])));
+    await writeLinesAtomic(csv, [
+      await writeToString([DATASET_FIELDS, ...table], CSV_OPTIONS),
+    ]);
+    files[split] = [path.basename(jsonl), path.basename(csv)];
+  }
+
+  const all = SPLITS.flatMap((s) => bySplit[s]);
+  const manifest = {
+    created_at: new Date().toISOString(),
+    source_dir: settings.dir,
+    options: {
+      splits: shares,
+      balance: settings.balance,
+      dedup: settings.dedup,
+      threshold: settings.threshold,
+      seed: settings.seed,
+    },
+    inputs,
+    dropped,
+    label_conflicts: conflicts,
+    totals: countRows(all),
+    splits: Object.fromEntries(SPLITS.map((s) => [s, countRows(bySplit[s])])),
+    files,
+  };
+  const manifestPath = path.join(outDir, "manifest.json");
+  await writeLinesAtomic(manifestPath, [JSON.stringify(manifest, null, 2)]);
+  if (settings.hf) {
+    await writeLinesAtomic(path.join(outDir, "README.md"), [
+      datasetCard(manifest),
+    ]);
+  }
+
+  for (const s of SPLITS) {
+    const c = manifest.splits[s];
+    console.log(
+      `${s.padEnd(10)} ${String(c.records).padStart(6)}  ` +
+        `fake ${c.by_class[0] || 0}, real ${c.by_class[1] || 0}`
+    );
+  }
+  const droppedText = Object.entries(dropped)
+    .map(([k, n]) => `${k} ${n}`)
+    .join(", ");
+  if (droppedText) console.log("dropped:", droppedText);
+  if (conflicts > 0) {
+    console.warn(`${conflicts} duplicate clusters mix labels; see dedup`);
+  }
+  console.log("dataset:", outDir);
+  return manifest;
+}
+
+module.exports = {
+  SPLITS,
+  DATASET_DEFAULTS,
+  DATASET_FIELDS,
+  toDatasetRow,
+  sourceFiles,
+  assignSplits,
+  buildDataset,
+};
@@ -0,0 +1,160 @@
+/** @format */
+
+// Published-date normalization. Sites print dates as ISO strings, English
+// ("August 30, 2025"), Bangla ("৩০ আগস্ট ২০২৫") or relative ("২ ঘণ্টা আগে");
+// everything becomes ISO 8601 UTC. A trailing zone ("GMT", "UTC", "Z",
+// "+06:00") is honoured; times without one are Dhaka time.
+
+const DHAKA_OFFSET_MIN = 6 * 60; // Asia/Dhaka is UTC+6, no DST
+
+const BN_DIGITS = "০১২৩৪৫৬৭৮৯";
+
+// NFC keeps য় decomposed (য + nukta), so keys are normalized the same way
+const MONTHS = new Map(
+  [
+    [["january", "jan", "জানুয়ারি", "জানুয়ারী"], 0],
+    [["february", "feb", "ফেব্রুয়ারি", "ফেব্রুয়ারী"], 1],
+    [["march", "mar", "মার্চ"], 2],
+    [["april", "apr", "এপ্রিল"], 3],
+    [["may", "মে"], 4],
+    [["june", "jun", "জুন"], 5],
+    [["july", "jul", "জুলাই"], 6],
+    [["august", "aug", "আগস্ট", "অগাস্ট", "আগষ্ট"], 7],
+    [["september", "sep", "sept", "সেপ্টেম্বর"], 8],
+    [["october", "oct", "অক্টোবর"], 9],
+    [["november", "nov", "নভেম্বর"], 10],
+    [["december", "dec", "ডিসেম্বর"], 11],
+  ].flatMap(([names, m]) => names.map((n) => [n.normalize("NFC"), m]))
+);
+
+const UNIT_MS = [
+  [/^(sec|second|সেকেন্ড)/, 1000],
+  [/^(min|minute|মিনিট)/, 60 * 1000],
+  [/^(hour|hr|ঘণ্টা|ঘন্টা)/, 60 * 60 * 1000],
+  [/^(day|দিন)/, 24 * 60 * 60 * 1000],
+  [/^(week|সপ্তাহ)/, 7 * 24 * 60 * 60 * 1000],
+  [/^(month|মাস)/, 30 * 24 * 60 * 60 * 1000],
+  [/^(year|বছর)/, 365 * 24 * 60 * 60 * 1000],
+];
+
+// Bangla times of day that mean afternoon/evening/night (add 12h)
+const BN_PM = /(দুপুর|বিকাল|বিকেল|সন্ধ্যা|রাত)/;
+
+function toAsciiDigits(s) {
+  return String(s).replace(/[০-৯]/g, (d) => String(BN_DIGITS.indexOf(d)));
+}
+
+function toBanglaDigits(s) {
+  return String(s).replace(/[0-9]/g, (d) => BN_DIGITS[d]);
+}
+
+// Wall-clock time in Dhaka -> Date
+function fromDhaka(y, mo, d, h = 0, mi = 0, s = 0, ms = 0) {
+  const utc = Date.UTC(y, mo, d, h, mi, s, ms) - DHAKA_OFFSET_MIN * 60 * 1000;
+  return new Date(utc);
+}
+
+// "+06:00", "+0600", "GMT+6": numeric offsets count after a time or a zone
+// name only, so the "-30" of "2025-08-30" stays a day
+const ZONE_OFFSET =
+  /\s*(?:\b(?:gmt|utc)|(?<=\d:\d{2}(?:\.\d+)?(?:\s?[ap]m)?))\s*([+-])(\d{1,2})(?::?(\d{2}))?$/;
+const ZONE_NAME = /(?:\s*\b(?:gmt|utc)|(?<=\d)z)$/;
+
+// s -> [s without its zone, offset in minutes east of UTC or null]
+function splitZone(s) {
+  const m = s.match(ZONE_OFFSET);
+  if (m) {
+    const minutes = Number(m[2]) * 60 + Number(m[3] || 0);
+    return [s.slice(0, m.index), m[1] === "-" ? -minutes : minutes];
+  }
+  if (ZONE_NAME.test(s)) return [s.replace(ZONE_NAME, ""), 0];
+  return [s, null];
+}
+
+// Fractional seconds ("05.250") -> whole milliseconds
+const millis = (frac) => (frac ? Math.round(Number("0." + frac) * 1000) : 0);
+
+function parseRelative(s, now) {
+  if (/^(yesterday|গতকাল)/.test(s)) return new Date(now - 864e5);
+  if (/^(today|আজ|just now|এইমাত্র)/.test(s)) return new Date(now);
+  const m = s.match(/^(\d+)\s*(\S+?)\s*(ago|আগে)/);
+  if (!m) return null;
+  const unit = UNIT_MS.find(([re]) => re.test(m[2]));
+  return unit ? new Date(now - Number(m[1]) * unit[1]) : null;
+}
+
+function parseTime(s) {
+  const m = s.match(/(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?\s*(am|pm)?/);
+  if (!m) return [0, 0, 0, 0];
+  let h = Number(m[1]);
+  const pm = m[5] === "pm" || (!m[5] && BN_PM.test(s));
+  if (pm && h < 12) h += 12;
+  if (m[5] === "am" && h === 12) h = 0;
+  return [h, Number(m[2]), Number(m[3] || 0), millis(m[4])];
+}
+
+// "30 August 2025", "August 30, 2025", "৩০ আগস্ট, ২০২৫ ১০:৩০"
+function parseWithMonthName(s) {
+  const words = s.split(/[\s,]+/).filter(Boolean);
+  const mi = words.findIndex((w) => MONTHS.has(w.replace(/\.$/, "")));
+  if (mi === -1) return null;
+  const month = MONTHS.get(words[mi].replace(/\.$/, ""));
+  const nums = words
+    .filter((w, i) => i !== mi && /^\d{1,4}(st|nd|rd|th)?$/.test(w))
+    .map((w) => parseInt(w, 10));
+  const year = nums.find((n) => n >= 1000);
+  const day = nums.find((n) => n >= 1 && n <= 31);
+  if (!year || !day) return null;
+  return fromDhaka(year, month, day, ...parseTime(s));
+}
+
+// "2025-08-30", "2025-08-30 14:05", "2025-08-30t14:05:00.000",
+// "30/08/2025" (day first, as printed here)
+function parseNumeric(s) {
+  let m = s.match(
+    /^(\d{4})-(\d{2})-(\d{2})(?:[ t](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?$/
+  );
+  if (m) {
+    const [, y, mo, d, h = 0, mi = 0, sec = 0, frac] = m;
+    return fromDhaka(+y, mo - 1, +d, +h, +mi, +sec, millis(frac));
+  }
+  m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+  if (m) return fromDhaka(+m[3], m[2] - 1, +m[1], ...parseTime(s));
+  return null;
+}
+
+/**
+ * Normalize a published date to ISO 8601 UTC ("2025-08-30T04:30:00.000Z").
+ * Returns null when the string can't be understood. `now` anchors relative
+ * dates and defaults to the current time.
+ */
+function normalizeDate(raw, { now = Date.now() } = {}) {
+  if (!raw) return null;
+  const s = toAsciiDigits(raw)
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/পিএম/g, "pm")
+    .replace(/এএম/g, "am")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!s) return null;
+
+  const relative = parseRelative(s, now);
+  if (relative) return relative.toISOString();
+
+  // Parsed as Dhaka time, then moved to the zone the string named
+  const [local, offset] = splitZone(s);
+  let d = parseNumeric(local) || parseWithMonthName(local);
+  if (!d || isNaN(d)) return null;
+  if (offset !== null) {
+    d = new Date(d.getTime() + (DHAKA_OFFSET_MIN - offset) * 60 * 1000);
+  }
+  return d.toISOString();
+}
+
+module.exports = {
+  DHAKA_OFFSET_MIN,
+  toAsciiDigits,
+  toBanglaDigits,
+  normalizeDate,
+};
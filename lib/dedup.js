@@ -0,0 +1,415 @@
+/** @format */
+
+// Cross-source duplicate detection. Each record's headline and content are
+// normalised and fingerprinted three ways: an exact hash, a MinHash
+// signature and a 64-bit SimHash of its word shingles. Records that match
+// exactly or come out as near duplicates share a cluster id, so a claim
+// checked by both jachai and fact-watch, or a joke earki reposted under a
+// new id, stays on one side of a train/test split.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const stringHash = require("string-hash");
+const { toAsciiDigits } = require("./dates");
+const { DEFAULT_OUT_DIR, writeLinesAtomic } = require("./output");
+const { readJsonl } = require("./sinks/jsonl");
+
+const DEDUP_DEFAULTS = {
+  shingleSize: 3, // words per shingle
+  numHashes: 64, // MinHash signature length
+  bands: 16, // LSH bands (numHashes / bands rows each)
+  threshold: 0.7, // estimated Jaccard similarity that makes a duplicate
+  maxHamming: 3, // SimHash bits that may differ (at most 3: 4 blocks)
+  maxBucket: 1000, // candidate buckets bigger than this are not compared
+};
+
+// What dedup writes; never read back as input
+const INDEX_FILE = "dedup_index.jsonl";
+const MERGED_FILE = "deduped.jsonl";
+
+/**
+ * Text as compared: NFC, Bangla digits as ASCII, no zero-width joiners,
+ * lower case, punctuation (the dari "।" included) turned into spaces.
+ */
+function fingerprintText(text) {
+  return toAsciiDigits(String(text || "").normalize("NFC"))
+    .replace(/[\u200b-\u200d\ufeff]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// murmur3's finaliser: spreads string-hash's output over all 32 bits
+function mix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// Fixed seeds, so signatures from different runs can be compared
+const SEEDS = Array.from({ length: 256 }, (_, i) =>
+  mix32(Math.imul(i + 1, 0x9e3779b1))
+);
+
+// Distinct 32-bit hashes of the k-word shingles; a short text is one shingle
+function shingleHashes(text, k = DEDUP_DEFAULTS.shingleSize) {
+  const words = text ? text.split(" ") : [];
+  if (words.length === 0) return [];
+  const out = new Set();
+  const last = Math.max(0, words.length - k);
+  for (let i = 0; i <= last; i++) {
+    out.add(stringHash(words.slice(i, i + k).join(" ")));
+  }
+  return Array.from(out);
+}
+
+function minhash(hashes, numHashes = DEDUP_DEFAULTS.numHashes) {
+  const sig = new Uint32Array(numHashes).fill(0xffffffff);
+  for (const h of hashes) {
+    for (let i = 0; i < numHashes; i++) {
+      const v = mix32(h ^ SEEDS[i]);
+      if (v < sig[i]) sig[i] = v;
+    }
+  }
+  return sig;
+}
+
+// Share of equal signature slots: an estimate of the Jaccard similarity
+function estimateJaccard(a, b) {
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same += 1;
+  return same / a.length;
+}
+
+// 64-bit SimHash as two unsigned 32-bit halves [hi, lo]
+function simhash(hashes) {
+  const votes = new Int32Array(64);
+  for (const h of hashes) {
+    const halves = [mix32(h ^ SEEDS[254]), mix32(h ^ SEEDS[255])];
+    for (let half = 0; half < 2; half++) {
+      for (let bit = 0; bit < 32; bit++) {
+        votes[half * 32 + bit] += (halves[half] >>> bit) & 1 ? 1 : -1;
+      }
+    }
+  }
+  const out = [0, 0];
+  for (let i = 0; i < 64; i++) {
+    if (votes[i] > 0) out[i >> 5] |= 1 << (i & 31);
+  }
+  return [out[0] >>> 0, out[1] >>> 0];
+}
+
+function popcount32(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return (Math.imul((x + (x >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24) & 0xff;
+}
+
+function hamming(a, b) {
+  return popcount32(a[0] ^ b[0]) + popcount32(a[1] ^ b[1]);
+}
+
+const toHex = ([hi, lo]) =>
+  hi.toString(16).padStart(8, "0") + lo.toString(16).padStart(8, "0");
+
+/**
+ * -> { exact, minhash, simhash } for a record's headline and content.
+ * A record without text gets nulls and only ever matches itself.
+ */
+function fingerprint(record, options = {}) {
+  const { shingleSize, numHashes } = { ...DEDUP_DEFAULTS, ...options };
+  const text = fingerprintText(
+    [record.headline, record.content].filter(Boolean).join(" ")
+  );
+  if (!text) return { exact: null, minhash: null, simhash: null };
+  const hashes = shingleHashes(text, shingleSize);
+  return {
+    exact: crypto.createHash("sha1").update(text).digest("hex"),
+    minhash: minhash(hashes, numHashes),
+    simhash: simhash(hashes),
+  };
+}
+
+function createUnionFind(n) {
+  const parent = Int32Array.from({ length: n }, (_, i) => i);
+  function find(i) {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  }
+  return {
+    find,
+    union(a, b) {
+      const ra = find(a);
+      const rb = find(b);
+      if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+    },
+  };
+}
+
+/**
+ * Group fingerprints (an array of { exact, minhash, simhash }) into
+ * clusters. Candidates come from MinHash LSH bands and from SimHash's four
+ * 16-bit blocks; a candidate pair is a duplicate when its estimated Jaccard
+ * reaches `threshold` or its SimHashes differ in at most `maxHamming` bits.
+ * -> { find, union, pairs: [{ a, b, similarity }] }
+ */
+function clusterFingerprints(fps, options = {}) {
+  const { bands, threshold, maxHamming, maxBucket } = {
+    ...DEDUP_DEFAULTS,
+    ...options,
+  };
+  const uf = createUnionFind(fps.length);
+  const pairs = [];
+  const buckets = new Map();
+  const put = (key, i) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(i);
+  };
+
+  fps.forEach((fp, i) => {
+    if (!fp.exact) return;
+    put(`x:${fp.exact}`, i);
+    const rows = fp.minhash.length / bands;
+    for (let b = 0; b < bands; b++) {
+      put(
+        `m${b}:${fp.minhash.subarray(b * rows, (b + 1) * rows).join(",")}`,
+        i
+      );
+    }
+    const [hi, lo] = fp.simhash;
+    [hi >>> 16, hi & 0xffff, lo >>> 16, lo & 0xffff].forEach((block, j) =>
+      put(`s${j}:${block}`, i)
+    );
+  });
+
+  const compared = new Set();
+  for (const [key, members] of buckets) {
+    if (members.length < 2) continue;
+    if (members.length > maxBucket) {
+      console.warn(`dedup: skipping a bucket of ${members.length} (${key})`);
+      continue;
+    }
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        const a = members[x];
+        const b = members[y];
+        const pairKey = `${a},${b}`;
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+        const exact = fps[a].exact === fps[b].exact;
+        const similarity = exact
+          ? 1
+          : estimateJaccard(fps[a].minhash, fps[b].minhash);
+        const near =
+          similarity >= threshold ||
+          hamming(fps[a].simhash, fps[b].simhash) <= maxHamming;
+        if (!near) continue;
+        uf.union(a, b);
+        pairs.push({ a, b, similarity });
+      }
+    }
+  }
+  return { ...uf, pairs };
+}
+
+// <dir>/*.jsonl that hold scraped records
+function datasetFiles(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter(
+      (f) =>
+        f.endsWith(".jsonl") &&
+        !f.endsWith(".rejected.jsonl") &&
+        !f.startsWith("failed_") &&
+        f !== INDEX_FILE &&
+        f !== MERGED_FILE
+    )
+    .sort()
+    .map((f) => path.join(dir, f));
+}
+
+const keyOf = (r) => `${r.publisher}:${r.article_id}`;
+
+// Earliest publication first (undated last), then by key
+function representativeOrder(a, b) {
+  const ta = Date.parse(a.published_at) || Infinity;
+  const tb = Date.parse(b.published_at) || Infinity;
+  if (ta !== tb) return ta - tb;
+  return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+}
+
+/**
+ * Cluster entries ({ index, key, published_at, label_name, fp }, index =
+ * position in the array). The same key twice (a record in two files) is
+ * always the same article. -> { clusters: [{ id, members, conflict }],
+ * similarity: Map(index -> best similarity to another member) }. Members
+ * come representative first: the earliest published. The id hashes the
+ * smallest key, so it stays put while nothing in the cluster changes.
+ */
+function clusterEntries(entries, options = {}) {
+  const { find, union, pairs } = clusterFingerprints(
+    entries.map((e) => e.fp),
+    options
+  );
+  const firstByKey = new Map();
+  entries.forEach((e, i) => {
+    if (firstByKey.has(e.key)) union(firstByKey.get(e.key), i);
+    else firstByKey.set(e.key, i);
+  });
+
+  const groups = new Map(); // root -> entries
+  entries.forEach((e) => {
+    const root = find(e.index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(e);
+  });
+
+  const similarity = new Map();
+  for (const { a, b, similarity: s } of pairs) {
+    for (const i of [a, b])
+      similarity.set(i, Math.max(similarity.get(i) || 0, s));
+  }
+
+  const clusters = Array.from(groups.values(), (members) => {
+    members.sort(representativeOrder);
+    const smallest = members.map((m) => m.key).sort()[0];
+    return {
+      id:
+        "c" +
+        crypto.createHash("sha1").update(smallest).digest("hex").slice(0, 12),
+      members,
+      conflict: new Set(members.map((m) => m.label_name)).size > 1,
+    };
+  });
+  return { clusters, similarity };
+}
+
+/**
+ * Fingerprint every record in <dir>/*.jsonl, cluster across all files and
+ * write <dir>/dedup_index.jsonl: one line per record with its cluster_id,
+ * cluster size, the representative it duplicates and whether the cluster
+ * mixes labels. With merge=true also write <dir>/deduped.jsonl: one record
+ * per cluster (the earliest published), with cluster_id and the sources of
+ * the rest in `duplicates`. Source files are never modified.
+ */
+async function dedupeDataset(options = {}) {
+  const settings = { dir: DEFAULT_OUT_DIR, merge: false, ...options };
+  const files = datasetFiles(settings.dir);
+  const entries = [];
+  for (const file of files) {
+    for await (const r of readJsonl(file)) {
+      if (!r.article_id || !r.publisher) continue;
+      entries.push({
+        index: entries.length,
+        key: keyOf(r),
+        file: path.basename(file),
+        source: r.source,
+        published_at: r.published_at,
+        label_name: r.label_name,
+        fp: fingerprint(r, settings),
+      });
+    }
+  }
+  console.log(`dedup: ${entries.length} records in ${files.length} files`);
+
+  const { clusters, similarity } = clusterEntries(entries, settings);
+  const index = [];
+  const representatives = new Map(); // key -> { cluster_id, duplicates }
+  let conflicts = 0;
+  let duplicated = 0;
+  for (const { id, members, conflict } of clusters) {
+    const [rep] = members;
+    if (conflict) conflicts += 1;
+    if (members.length > 1) duplicated += members.length;
+    if (!representatives.has(rep.key)) {
+      representatives.set(rep.key, {
+        cluster_id: id,
+        duplicates: Array.from(
+          new Set(
+            members
+              .filter((m) => m.key !== rep.key)
+              .map((m) => m.source)
+              .filter(Boolean)
+          )
+        ),
+      });
+    }
+    for (const m of members) {
+      const isRep = m.key === rep.key;
+      index.push({
+        publisher: m.key.split(":")[0],
+        article_id: m.key.slice(m.key.indexOf(":") + 1),
+        file: m.file,
+        source: m.source,
+        cluster_id: id,
+        cluster_size: members.length,
+        duplicate_of: isRep ? null : rep.key,
+        similarity: isRep ? null : similarity.get(m.index) ?? 1,
+        label_conflict: conflict,
+        exact_hash: m.fp.exact,
+        simhash: m.fp.simhash ? toHex(m.fp.simhash) : null,
+      });
+    }
+  }
+
+  const toLines = (rows) => rows.map((r) => JSON.stringify(r) + "\n");
+  const indexPath = path.join(settings.dir, INDEX_FILE);
+  await writeLinesAtomic(indexPath, toLines(index));
+  console.log(
+    `dedup: ${clusters.length} clusters; ${duplicated} records have a duplicate; ` +
+      `${conflicts} clusters mix labels`
+  );
+  console.log("index :", indexPath);
+
+  let mergedPath = null;
+  if (settings.merge) {
+    mergedPath = path.join(settings.dir, MERGED_FILE);
+    const rows = [];
+    const written = new Set();
+    for (const file of files) {
+      for await (const r of readJsonl(file)) {
+        const key = keyOf(r);
+        const rep = representatives.get(key);
+        if (!rep || written.has(key)) continue;
+        written.add(key);
+        rows.push({ ...r, ...rep });
+      }
+    }
+    await writeLinesAtomic(mergedPath, toLines(rows));
+    console.log("merged:", mergedPath, `(${rows.length} records)`);
+  }
+
+  return {
+    records: entries.length,
+    clusters: clusters.length,
+    duplicated,
+    conflicts,
+    indexPath,
+    mergedPath,
+  };
+}
+
+module.exports = {
+  DEDUP_DEFAULTS,
+  INDEX_FILE,
+  MERGED_FILE,
+  fingerprintText,
+  shingleHashes,
+  minhash,
+  estimateJaccard,
+  simhash,
+  hamming,
+  fingerprint,
+  clusterFingerprints,
+  datasetFiles,
+  clusterEntries,
+  dedupeDataset,
+};
@@ -0,0 +1,25 @@
+/** @format */
+
+// Run page extractors outside a browser. Extractors are written for
+// page.evaluate: self-contained functions that read the global `document`.
+// Here they get a linkedom document instead, in a fresh context, so a
+// function that accidentally closes over module scope fails here too.
+
+const vm = require("vm");
+const { parseHTML } = require("linkedom");
+
+function loadDocument(html) {
+  return parseHTML(html).document;
+}
+
+/**
+ * Call `fn(...args)` with `document` bound to the given document. The result
+ * goes through JSON like page.evaluate's does.
+ */
+function runInDocument(document, fn, ...args) {
+  const sandbox = { document, URL, args };
+  const result = vm.runInNewContext(`(${fn.toString()})(...args)`, sandbox);
+  return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+}
+
+module.exports = { loadDocument, runInDocument };
@@ -0,0 +1,185 @@
+/** @format */
+
+// Evidence from fact-check bodies: the outbound links ("দেখুন এখানে,
+// এখানে" points at the posts being checked), archived copies of them and the
+// images, videos and embeds in the article. innerText keeps none of this.
+// Adapters opt in with `evidence: { root, exclude }` (CSS for the article
+// body and for blocks inside it to ignore, like share buttons).
+
+/**
+ * Runs inside the page (self-contained). Raw anchors and media under
+ * options.root, with URLs resolved against `url`; pickEvidence() sorts
+ * them out. --media reads its body images from here too
+ * (lib/media.js pickImages).
+ */
+function extractEvidence(url, options) {
+  const root = document.querySelector(options.root);
+  if (!root) return { links: [], media: [] };
+  const clone = root.cloneNode(true);
+  if (options.exclude) {
+    clone.querySelectorAll(options.exclude).forEach((el) => el.remove());
+  }
+  const abs = (href) => {
+    if (!href) return null;
+    try {
+      return new URL(href.trim(), url).href;
+    } catch (_) {
+      return null;
+    }
+  };
+  const text = (el) =>
+    el ? (el.textContent || "").replace(/\s+/g, " ").trim() : "";
+
+  const links = Array.from(clone.querySelectorAll("a[href]")).map((a) => ({
+    url: abs(a.getAttribute("href")),
+    text: text(a),
+  }));
+
+  const media = [];
+  for (const img of clone.querySelectorAll("img")) {
+    // lazy-loading themes keep the real address in data-*
+    const srcset = (img.getAttribute("srcset") || "").split(",")[0];
+    const src =
+      img.getAttribute("data-src") ||
+      img.getAttribute("data-lazy-src") ||
+      img.getAttribute("src") ||
+      srcset.trim().split(/\s+/)[0];
+    const figure = img.closest("figure");
+    media.push({
+      type: "image",
+      url: abs(src),
+      alt: (img.getAttribute("alt") || "").trim(),
+      caption: text(figure && figure.querySelector("figcaption")),
+    });
+  }
+  for (const v of clone.querySelectorAll("video[src], video source[src]")) {
+    media.push({ type: "video", url: abs(v.getAttribute("src")) });
+  }
+  for (const f of clone.querySelectorAll("iframe[src], iframe[data-src]")) {
+    const src = f.getAttribute("data-src") || f.getAttribute("src");
+    media.push({ type: "embed", url: abs(src) });
+  }
+  // Facebook, X/Twitter, Instagram and TikTok embed markup before their
+  // scripts turn it into an iframe
+  for (const el of clone.querySelectorAll(
+    ".fb-post[data-href], .fb-video[data-href], blockquote[cite], " +
+      "blockquote[data-instgrm-permalink], blockquote.twitter-tweet"
+  )) {
+    const link = el.matches("blockquote.twitter-tweet")
+      ? Array.from(el.querySelectorAll("a[href]")).pop()
+      : null;
+    const src =
+      el.getAttribute("data-href") ||
+      el.getAttribute("data-instgrm-permalink") ||
+      el.getAttribute("cite") ||
+      (link && link.getAttribute("href"));
+    if (src) media.push({ type: "embed", url: abs(src) });
+  }
+  return { links, media };
+}
+
+// host (without www.) -> platform
+const PLATFORMS = {
+  "facebook.com": "facebook",
+  "fb.com": "facebook",
+  "fb.watch": "facebook",
+  "youtube.com": "youtube",
+  "youtu.be": "youtube",
+  "twitter.com": "twitter",
+  "x.com": "twitter",
+  "instagram.com": "instagram",
+  "tiktok.com": "tiktok",
+  "t.me": "telegram",
+  "threads.net": "threads",
+};
+
+// archive.today answers on several domains
+const ARCHIVE_TODAY = /^archive\.(today|ph|is|li|vn|md|fo)$/;
+
+// Share buttons and the like: links about the article, not evidence
+const SHARE_LINK =
+  /facebook\.com\/sharer|twitter\.com\/(intent|share)|x\.com\/intent|api\.whatsapp\.com|wa\.me\/\?|t\.me\/share|linkedin\.com\/share/;
+
+// Host without "www." and "m." (facebook mobile links)
+function bareHost(u) {
+  return u.hostname.replace(/^(www|m|mobile)\./, "");
+}
+
+function platformOf(host) {
+  for (const [domain, platform] of Object.entries(PLATFORMS)) {
+    if (host === domain || host.endsWith("." + domain)) return platform;
+  }
+  return null;
+}
+
+// The page an archive link is a copy of, when the link says
+function archivedUrl(u, host) {
+  let m = null;
+  if (host === "web.archive.org") {
+    m = u.pathname.match(/^\/web\/[^/]+\/(.+)$/);
+  } else if (ARCHIVE_TODAY.test(host)) {
+    m = u.pathname.match(/^\/(?:\d{14}|newest|oldest)\/(.+)$/);
+  }
+  if (!m) return null;
+  const target = m[1] + u.search;
+  return /^https?:\/\//.test(target) ? target : null;
+}
+
+/**
+ * Classify one outbound link -> { url, host, kind, platform, archived_url }.
+ * kind: "archive" (web.archive.org, archive.today), "social" (a platform in
+ * PLATFORMS) or "web".
+ */
+function classifyLink(href) {
+  const u = new URL(href);
+  u.hash = "";
+  const host = bareHost(u);
+  const archived = host === "web.archive.org" || ARCHIVE_TODAY.test(host);
+  const platform = archived ? null : platformOf(host);
+  return {
+    url: u.href,
+    host,
+    kind: archived ? "archive" : platform ? "social" : "web",
+    platform,
+    archived_url: archived ? archivedUrl(u, host) : null,
+  };
+}
+
+const isHttp = (url) => /^https?:\/\//.test(url || "");
+
+/**
+ * extractEvidence() output -> { evidence_links, media } record fields.
+ * Links back into the site itself, share buttons and non-http links are
+ * dropped, and repeats are kept once (the first link text wins). A field
+ * with nothing in it is null.
+ */
+function pickEvidence(raw, pageUrl) {
+  const site = bareHost(new URL(pageUrl));
+  const links = new Map();
+  for (const { url, text } of raw?.links || []) {
+    if (!isHttp(url) || SHARE_LINK.test(url)) continue;
+    const link = classifyLink(url);
+    if (link.host === site || links.has(link.url)) continue;
+    links.set(link.url, { url: link.url, text: text || null, ...link });
+  }
+
+  const media = new Map();
+  for (const m of raw?.media || []) {
+    if (!isHttp(m.url) || /\/images\/core\/emoji\//.test(m.url)) continue;
+    if (media.has(m.url)) continue;
+    const host = bareHost(new URL(m.url));
+    media.set(m.url, {
+      type: m.type,
+      url: m.url,
+      host,
+      platform: platformOf(host),
+      alt: m.alt || null,
+      caption: m.caption || null,
+    });
+  }
+
+  const list = (map) => (map.size ? Array.from(map.values()) : null);
+  return { evidence_links: list(links), media: list(media) };
+}
+
+module.exports = { extractEvidence, classifyLink, pickEvidence };
@@ -0,0 +1,78 @@
+/** @format */
+
+// Selector-driven extractors for ordinary news pages. Adapters configure
+// them through adapter.selectors instead of writing their own.
+// Both run inside the page: they must not close over anything.
+
+/**
+ * Absolute, de-duped article links in on-page order.
+ * selectors.listLinks: CSS for the anchors.
+ * selectors.articlePath: optional regex source the URL path must match.
+ */
+function extractLinks(url, selectors) {
+  const re = selectors.articlePath ? new RegExp(selectors.articlePath) : null;
+  const seen = new Set();
+  const out = [];
+  for (const a of document.querySelectorAll(selectors.listLinks)) {
+    const href = a.getAttribute("href");
+    if (!href) continue;
+    let abs;
+    try {
+      abs = new URL(href, url);
+    } catch (_) {
+      continue;
+    }
+    abs.hash = "";
+    if (re && !re.test(abs.pathname)) continue;
+    if (!seen.has(abs.href)) {
+      seen.add(abs.href);
+      out.push({ url: abs.href });
+    }
+  }
+  return out;
+}
+
+/**
+ * Headline, date and body from selectors.headline / .date / .body. For
+ * headline and date the comma-separated selectors are tried in order; all
+ * body matches (one per paragraph block) are joined.
+ */
+function extractNewsArticle(url, selectors) {
+  // first selector in the list that matches wins, not first in the document;
+  // `fallbacks` lists the fields that only matched a later one
+  const fallbacks = [];
+  const pick = (field, css) => {
+    const list = (css || "").split(",").map((one) => one.trim());
+    for (const [i, one] of list.entries()) {
+      const el = one && document.querySelector(one);
+      if (!el) continue;
+      if (i > 0) fallbacks.push(field);
+      return el;
+    }
+    return null;
+  };
+
+  const h = pick("headline", selectors.headline);
+  const headline = h
+    ? (h.getAttribute("content") || h.textContent || "").trim()
+    : "";
+
+  const d = pick("published_at", selectors.date);
+  const published_at = d
+    ? (
+        d.getAttribute("datetime") ||
+        d.getAttribute("content") ||
+        d.textContent ||
+        ""
+      ).trim()
+    : "";
+
+  const parts = Array.from(
+    selectors.body ? document.querySelectorAll(selectors.body) : []
+  ).map((el) => (el.innerText || el.textContent || "").trim());
+  const content = parts.filter(Boolean).join("\n").trim() || null;
+
+  return { headline, published_at, content, fallbacks };
+}
+
+module.exports = { extractLinks, extractNewsArticle };
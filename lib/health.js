@@ -0,0 +1,115 @@
+/** @format */
+
+// Per-run extraction health. A site redesign rarely throws: selectors just
+// stop matching and rows come out empty. Counting how often that happens
+// turns a silently poisoned dataset into a failed run.
+
+const fs = require("fs");
+
+// Highest acceptable share of processed articles, per problem
+const DEFAULT_THRESHOLDS = {
+  emptyHeadline: 0.05,
+  emptyContent: 0.1,
+  missingDate: 0.2,
+  fallback: 0.5, // a non-primary selector had to be used
+  rejected: 0.1,
+  failed: 0.2, // navigation or extraction threw
+};
+
+// Rates over fewer articles than this are reported but never fail a run
+const MIN_SAMPLE = 10;
+
+/**
+ * lists=false for runs that walk no listing (retry-failed, reextract): they
+ * find no article links by design, so that is not counted as a failure.
+ */
+function createHealth(adapter, thresholds = {}, { lists = true } = {}) {
+  const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const counts = {
+    listed: 0, // article links found on list pages
+    processed: 0, // articles that produced a record (saved or rejected)
+    emptyHeadline: 0,
+    emptyContent: 0,
+    missingDate: 0,
+    fallback: 0,
+    rejected: 0,
+    failed: 0,
+  };
+  const fallbackFields = {};
+
+  return {
+    counts,
+    listed(n) {
+      counts.listed += n;
+    },
+    // `fallbacks`: fields the extractor had to take from a backup selector
+    record(rec, fallbacks = []) {
+      counts.processed += 1;
+      if (!rec.headline) counts.emptyHeadline += 1;
+      if (!rec.content) counts.emptyContent += 1;
+      if (!rec.published_at) counts.missingDate += 1;
+      if (fallbacks.length > 0) counts.fallback += 1;
+      for (const f of fallbacks)
+        fallbackFields[f] = (fallbackFields[f] || 0) + 1;
+    },
+    rejected() {
+      counts.rejected += 1;
+    },
+    failed() {
+      counts.failed += 1;
+    },
+
+    // -> { adapter, counts, rates, fallbackFields, failures: [string] }
+    report() {
+      const attempted = counts.processed + counts.failed;
+      const rates = {};
+      for (const key of Object.keys(limits)) {
+        const base = key === "failed" ? attempted : counts.processed;
+        rates[key] = base ? counts[key] / base : 0;
+      }
+
+      const failures = [];
+      if (lists && counts.listed === 0) {
+        failures.push("no article links found on any list page");
+      }
+      for (const [key, limit] of Object.entries(limits)) {
+        const base = key === "failed" ? attempted : counts.processed;
+        if (base >= MIN_SAMPLE && rates[key] > limit) {
+          const pct = (r) => `${(r * 100).toFixed(1)}%`;
+          failures.push(`${key} ${pct(rates[key])} > ${pct(limit)}`);
+        }
+      }
+      return { adapter: adapter.name, counts, rates, fallbackFields, failures };
+    },
+  };
+}
+
+function printHealth(report) {
+  console.log(`Health (${report.adapter}):`);
+  for (const [key, n] of Object.entries(report.counts)) {
+    const rate = report.rates[key];
+    const pct = rate === undefined ? "" : ` (${(rate * 100).toFixed(1)}%)`;
+    console.log(`  ${key.padEnd(14)} ${String(n).padStart(6)}${pct}`);
+  }
+  const fields = Object.entries(report.fallbackFields);
+  if (fields.length > 0) {
+    console.log(
+      "  fallbacks by field:",
+      fields.map(([f, n]) => `${f}=${n}`).join(", ")
+    );
+  }
+  for (const f of report.failures) console.log(`  UNHEALTHY: ${f}`);
+}
+
+function writeHealth(file, report) {
+  const body = { ...report, finishedAt: new Date().toISOString() };
+  fs.writeFileSync(file, JSON.stringify(body, null, 2) + "\n", "utf8");
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  MIN_SAMPLE,
+  createHealth,
+  printHealth,
+  writeHealth,
+};
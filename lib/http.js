@@ -0,0 +1,100 @@
+/** @format */
+
+// Browser-free backend for server-rendered pages: fetch the HTML and parse it
+// with linkedom. It mimics the slice of Puppeteer's Browser/Page API the
+// crawlers use, so the same extractors and crawl loops run on either.
+// Nothing here executes page scripts; a page that builds its content in
+// JavaScript needs the browser backend.
+
+const { loadDocument, runInDocument } = require("./dom");
+const {
+  ACCEPT_LANGUAGE,
+  NAV_TIMEOUT_MS,
+  DEFAULT_USER_AGENT,
+} = require("./browser");
+
+// Stand-in for Puppeteer's HTTPResponse; `sent` are the request headers
+function toResponse(res, body, sent) {
+  return {
+    status: () => res.status,
+    statusText: () => res.statusText,
+    ok: () => res.ok,
+    url: () => res.url,
+    headers: () => Object.fromEntries(res.headers),
+    buffer: async () => body,
+    text: async () => body.toString("utf8"),
+    request: () => ({ method: () => "GET", headers: () => ({ ...sent }) }),
+  };
+}
+
+function createHttpPage() {
+  let timeout = NAV_TIMEOUT_MS;
+  let headers = {
+    "Accept-Language": ACCEPT_LANGUAGE,
+    "User-Agent": DEFAULT_USER_AGENT,
+  };
+  let current = { url: "about:blank", html: "", document: null };
+
+  function requireDocument() {
+    if (!current.document) throw new Error("No page loaded; call goto first");
+    return current.document;
+  }
+
+  return {
+    setDefaultNavigationTimeout(ms) {
+      timeout = ms;
+    },
+    async setExtraHTTPHeaders(extra) {
+      headers = { ...headers, ...extra };
+    },
+    async setUserAgent(ua) {
+      headers = { ...headers, "User-Agent": ua };
+    },
+
+    // Like page.goto: a 4xx/5xx still resolves, callers check status()
+    async goto(url) {
+      const res = await fetch(url, {
+        headers,
+        redirect: "follow",
+        signal: AbortSignal.timeout(timeout),
+      });
+      const body = Buffer.from(await res.arrayBuffer());
+      const html = body.toString("utf8");
+      current = { url: res.url || url, html, document: loadDocument(html) };
+      return toResponse(res, body, headers);
+    },
+
+    // Like page.setContent; `url` stands in for the address it came from
+    async setContent(html, { url = "about:blank" } = {}) {
+      current = { url, html, document: loadDocument(html) };
+    },
+
+    url: () => current.url,
+    content: async () => current.html,
+
+    async evaluate(fn, ...args) {
+      return runInDocument(requireDocument(), fn, ...args);
+    },
+
+    // The HTML is complete once fetched: present now or never
+    async waitForSelector(selector) {
+      const el = requireDocument().querySelector(selector);
+      if (!el) throw new Error(`Selector not found: ${selector}`);
+      return el;
+    },
+
+    async close() {
+      current = { url: "about:blank", html: "", document: null };
+    },
+  };
+}
+
+// Stand-in for a launched Browser; there is nothing to launch or shut down
+function createHttpBrowser() {
+  return {
+    newPage: async () => createHttpPage(),
+    close: async () => {},
+  };
+}
+
+module.exports = { createHttpPage, createHttpBrowser };
@@ -0,0 +1,31 @@
+/** @format */
+
+// Scraper core: everything a site adapter needs besides its own selectors.
+
+module.exports = {
+  ...require("./timing"),
+  ...require("./dates"),
+  ...require("./browser"),
+  ...require("./dom"),
+  ...require("./http"),
+  ...require("./scheduler"),
+  ...require("./retry"),
+  ...require("./robots"),
+  ...require("./schema"),
+  ...require("./text"),
+  ...require("./record"),
+  ...require("./verdict"),
+  ...require("./structured"),
+  ...require("./evidence"),
+  ...require("./meta"),
+  ...require("./extractors"),
+  ...require("./sinks"),
+  ...require("./output"),
+  ...require("./archive"),
+  ...require("./warc"),
+  ...require("./media"),
+  ...require("./health"),
+  ...require("./dedup"),
+  ...require("./dataset"),
+  ...require("./crawl"),
+};
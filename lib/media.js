@@ -0,0 +1,243 @@
+/** @format */
+
+// Image downloads for multimodal datasets: with --media the crawl fetches
+// each article's images (og:image and the pictures in the body) into a
+// content-addressed store, <out>/media/<sha256[:2]>/<sha256>.<ext>, and
+// lists them on the record with perceptual hashes (pHash, dHash), so a
+// picture recycled across posts and sources can be found by Hamming
+// distance even after resizing or recompression.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { HttpError } = require("./retry");
+const { throwIfThrottled } = require("./scheduler");
+
+const MEDIA_DIR = "media";
+const INDEX_FILE = "index.jsonl";
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+const EXTENSIONS = { jpeg: "jpg", svg: "svg", png: "png", webp: "webp" };
+
+function mediaDir(outDir) {
+  return path.join(outDir, MEDIA_DIR);
+}
+
+// sharp is a native module: only loaded once an image is hashed, so runs
+// without --media don't need it
+const sharp = (input) => require("sharp")(input);
+
+/**
+ * The article's images, og:image (extractMeta's `image`) first, then the
+ * <img>s extractEvidence() found under the adapter's `images` root, as
+ * [{ url, source: "og:image" | "body", alt }]. Emoji and non-http URLs are
+ * left out and repeats kept once.
+ */
+function pickImages(ogImage, media) {
+  const out = new Map();
+  const add = (url, source, alt) => {
+    const http = /^https?:\/\//.test(url || "");
+    if (!http || /\/images\/core\/emoji\//.test(url) || out.has(url)) return;
+    out.set(url, { url, source, alt: alt || null });
+  };
+  add(ogImage, "og:image", null);
+  for (const m of media || []) {
+    if (m.type === "image") add(m.url, "body", m.alt);
+  }
+  return Array.from(out.values());
+}
+
+// 64 booleans -> 16 hex digits
+function bitsToHex(bits) {
+  let hex = "";
+  for (let i = 0; i < bits.length; i += 4) {
+    const nibble =
+      (bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3];
+    hex += nibble.toString(16);
+  }
+  return hex;
+}
+
+const grey = (input, width, height) =>
+  sharp(input)
+    .rotate()
+    .greyscale()
+    .resize(width, height, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+// dHash: is each pixel of a 9x8 thumbnail darker than its right neighbour
+async function dhash(input) {
+  const px = await grey(input, 9, 8);
+  const bits = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) bits.push(px[y * 9 + x + 1] > px[y * 9 + x]);
+  }
+  return bitsToHex(bits.map(Number));
+}
+
+// pHash: the 8x8 lowest frequencies of a 32x32 thumbnail's DCT against
+// their median
+async function phash(input) {
+  const N = 32;
+  const px = await grey(input, N, N);
+  const cos = [];
+  for (let k = 0; k < 8; k++) {
+    cos.push(
+      Array.from({ length: N }, (_, x) =>
+        Math.cos(((2 * x + 1) * k * Math.PI) / (2 * N))
+      )
+    );
+  }
+  // rows first, then columns, keeping only k < 8
+  const rows = [];
+  for (let y = 0; y < N; y++) {
+    rows.push(
+      cos.map((c) => c.reduce((sum, w, x) => sum + w * px[y * N + x], 0))
+    );
+  }
+  const coeffs = [];
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      coeffs.push(rows.reduce((sum, row, y) => sum + cos[v][y] * row[u], 0));
+    }
+  }
+  const sorted = [...coeffs].sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  return bitsToHex(coeffs.map((c) => Number(c > median)));
+}
+
+// Bits that differ between two hex hashes; 0-10 of 64 is usually the same
+// picture
+function hashDistance(a, b) {
+  let d = 0;
+  for (let i = 0; i < a.length; i++) {
+    let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    for (; x; x >>= 1) d += x & 1;
+  }
+  return d;
+}
+
+/**
+ * Decode an image -> { format, width, height, phash, dhash }. Throws for
+ * anything sharp can't read. Animated images are hashed on their first
+ * frame.
+ */
+async function hashImage(buffer) {
+  const meta = await sharp(buffer).metadata();
+  return {
+    format: meta.format,
+    width: meta.width ?? null,
+    height: meta.height ?? null,
+    phash: await phash(buffer),
+    dhash: await dhash(buffer),
+  };
+}
+
+// GET an image; 429/503 throw ThrottledError and other 4xx/5xx HttpError,
+// so the scheduler and withRetry treat it like a page
+async function fetchImage(
+  url,
+  { userAgent, timeout, maxBytes = MAX_IMAGE_BYTES }
+) {
+  const res = await fetch(url, {
+    headers: { "User-Agent": userAgent, Accept: "image/*,*/*;q=0.5" },
+    redirect: "follow",
+    signal: AbortSignal.timeout(timeout),
+  });
+  throwIfThrottled(url, {
+    status: () => res.status,
+    headers: () => Object.fromEntries(res.headers),
+  });
+  if (res.status >= 400) throw new HttpError(url, res.status);
+  const length = Number(res.headers.get("content-length") || 0);
+  if (length > maxBytes) throw new Error(`Too large (${length} bytes)`);
+  const body = Buffer.from(await res.arrayBuffer());
+  if (body.length > maxBytes) {
+    throw new Error(`Too large (${body.length} bytes)`);
+  }
+  return { body, contentType: res.headers.get("content-type") };
+}
+
+/**
+ * The store under <outDir>/media/. index.jsonl remembers every URL stored
+ * so far, so later runs don't download it again. lookup(url) -> the stored
+ * fields or null; save(url, body, contentType) hashes and stores an image
+ * (once per content) -> { file, sha256, bytes, content_type, format,
+ * width, height, phash, dhash }, `file` relative to <outDir>.
+ * fetchOnce(url, download) is lookup() or else save() of what
+ * `download()` resolves to ({ body, contentType }); articles asking for the
+ * same URL at the same time share one download.
+ */
+function createMediaStore(outDir) {
+  const dir = mediaDir(outDir);
+  const indexPath = path.join(dir, INDEX_FILE);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const byUrl = new Map();
+  if (fs.existsSync(indexPath)) {
+    for (const line of fs.readFileSync(indexPath, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const { url, ...fields } = JSON.parse(line);
+        byUrl.set(url, fields);
+      } catch {}
+    }
+  }
+
+  async function save(url, body, contentType = null) {
+    const sha256 = crypto.createHash("sha256").update(body).digest("hex");
+    const hashes = await hashImage(body);
+    const ext = EXTENSIONS[hashes.format] || hashes.format || "bin";
+    const file = path.posix.join(
+      MEDIA_DIR,
+      sha256.slice(0, 2),
+      `${sha256}.${ext}`
+    );
+    const full = path.join(outDir, file);
+    if (!fs.existsSync(full)) {
+      fs.mkdirSync(path.dirname(full), { recursive: true });
+      fs.writeFileSync(full + ".tmp", body);
+      fs.renameSync(full + ".tmp", full);
+    }
+    const fields = {
+      file,
+      sha256,
+      bytes: body.length,
+      content_type: contentType,
+      ...hashes,
+    };
+    byUrl.set(url, fields);
+    fs.appendFileSync(indexPath, JSON.stringify({ url, ...fields }) + "\n");
+    return fields;
+  }
+
+  const pending = new Map();
+  function fetchOnce(url, download) {
+    if (byUrl.has(url)) return Promise.resolve(byUrl.get(url));
+    if (!pending.has(url)) {
+      const stored = download()
+        .then(({ body, contentType }) => save(url, body, contentType))
+        .finally(() => pending.delete(url));
+      pending.set(url, stored);
+    }
+    return pending.get(url);
+  }
+
+  return {
+    dir,
+    indexPath,
+    lookup: (url) => byUrl.get(url) || null,
+    save,
+    fetchOnce,
+  };
+}
+
+module.exports = {
+  MEDIA_DIR,
+  mediaDir,
+  pickImages,
+  hashImage,
+  hashDistance,
+  fetchImage,
+  createMediaStore,
+};
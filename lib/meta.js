@@ -0,0 +1,177 @@
+/** @format */
+
+// Article metadata for modelling: authors, tags, descriptions and the like
+// from <meta>/<link> tags, rel=author/tag links and JSON-LD, related-post
+// links and the comment count, plus length figures from the cleaned text.
+// Every record gets it as `meta`.
+
+const { normalizeDate, toAsciiDigits } = require("./dates");
+
+// Bangla prose, read silently
+const WORDS_PER_MINUTE = 200;
+
+/**
+ * Runs inside the page (self-contained). Raw values as the page has them;
+ * pickMeta() tidies them up.
+ */
+function extractMeta(url) {
+  const attrs = (css, name = "content") =>
+    Array.from(document.querySelectorAll(css))
+      .map((el) => (el.getAttribute(name) || "").trim())
+      .filter(Boolean);
+  const texts = (css) =>
+    Array.from(document.querySelectorAll(css))
+      .map((el) => (el.textContent || "").replace(/\s+/g, " ").trim())
+      .filter(Boolean);
+
+  // JSON-LD articles: author names, keywords, dateModified, description,
+  // relatedLink, commentCount
+  const ld = [];
+  const walk = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (node["@graph"]) walk(node["@graph"]);
+    if (
+      node.author ||
+      node.keywords ||
+      node.dateModified ||
+      node.relatedLink ||
+      node.commentCount != null
+    ) {
+      ld.push(node);
+    }
+  };
+  for (const s of document.querySelectorAll(
+    'script[type="application/ld+json"]'
+  )) {
+    try {
+      walk(JSON.parse(s.textContent));
+    } catch (_) {}
+  }
+  const ldValues = (key) => ld.flatMap((node) => [].concat(node[key] || []));
+  const names = (list) =>
+    list.map((a) => (typeof a === "string" ? a : a && a.name)).filter(Boolean);
+
+  const abs = (href) => {
+    try {
+      return new URL(href, url).href;
+    } catch (_) {
+      return null;
+    }
+  };
+  const canonical = attrs("link[rel='canonical']", "href")[0];
+  const canonicalUrl = canonical ? abs(canonical) : null;
+  const ogImage = attrs(
+    "meta[property='og:image:secure_url'], meta[property='og:image']"
+  )[0];
+
+  // "Related posts" blocks (WordPress Jetpack and most themes) and
+  // JSON-LD relatedLink
+  const related = [
+    ...attrs("[class*='related'] a[href], [id*='related'] a[href]", "href"),
+    ...ldValues("relatedLink").map((l) => (typeof l === "string" ? l : l.url)),
+  ]
+    .filter(Boolean)
+    .map(abs)
+    .filter((u) => u && u.split("#")[0] !== url.split("#")[0]);
+
+  return {
+    authors: [
+      ...attrs("meta[name='author'], meta[property='article:author']"),
+      ...texts("a[rel~='author'], [itemprop='author'] [itemprop='name']"),
+      ...names(ldValues("author")),
+    ],
+    tags: [
+      ...attrs("meta[property='article:tag']"),
+      ...attrs("meta[name='keywords'], meta[name='news_keywords']"),
+      ...texts("a[rel~='tag']"),
+      ...ldValues("keywords").map(String),
+    ],
+    description:
+      attrs("meta[property='og:description']")[0] ||
+      attrs("meta[name='description']")[0] ||
+      ldValues("description").find((d) => typeof d === "string") ||
+      null,
+    canonical_url: canonicalUrl,
+    modified:
+      attrs(
+        "meta[property='article:modified_time'], meta[property='og:updated_time']"
+      )[0] ||
+      attrs("[itemprop='dateModified']", "content")[0] ||
+      attrs("time[itemprop='dateModified']", "datetime")[0] ||
+      ldValues("dateModified")[0] ||
+      null,
+    section: attrs("meta[property='article:section']")[0] || null,
+    // for --media (lib/media.js pickImages), not part of `meta`
+    image: ogImage ? abs(ogImage) : null,
+    related_links: related,
+    comment_count:
+      ldValues("commentCount").map(String)[0] ||
+      attrs("[itemprop='commentCount']")[0] ||
+      texts(
+        "[itemprop='commentCount'], .comments-link, .comment-count, .comments-count"
+      )[0] ||
+      null,
+  };
+}
+
+// Trimmed, de-duplicated (ignoring case) strings, in order
+function uniqueStrings(values) {
+  const seen = new Set();
+  const out = [];
+  for (const v of values) {
+    const s = String(v).replace(/\s+/g, " ").trim();
+    if (!s || seen.has(s.toLowerCase())) continue;
+    seen.add(s.toLowerCase());
+    out.push(s);
+  }
+  return out;
+}
+
+// "12 Comments", "১২টি মন্তব্য", "No comments" -> a number; null when the
+// page doesn't say
+function commentCount(raw) {
+  if (raw == null) return null;
+  const s = toAsciiDigits(raw);
+  const m = s.match(/\d[\d,]*/);
+  if (m) return Number(m[0].replace(/,/g, ""));
+  return /^(no comments|কোনো মন্তব্য নেই)/i.test(s.trim()) ? 0 : null;
+}
+
+// Words in the cleaned text: runs with at least one letter or digit
+function wordCount(text) {
+  if (!text) return 0;
+  return text.split(/\s+/).filter((w) => /[\p{L}\p{N}]/u.test(w)).length;
+}
+
+/**
+ * extractMeta() output (may be null), the byline and section name the
+ * adapter found and the cleaned body -> the record's `meta`. Every key is
+ * always there: lists empty and values null when the page didn't say. The
+ * byline comes first in `authors`; authors given as profile URLs are
+ * dropped; comma-separated keyword lists are split.
+ */
+function pickMeta(raw, { author = null, section = null, content = null } = {}) {
+  const words = wordCount(content);
+  const modifiedRaw = raw?.modified || null;
+  return {
+    authors: uniqueStrings(
+      []
+        .concat(author || [], raw?.authors || [])
+        .filter((a) => !/^https?:\/\//.test(a))
+    ),
+    tags: uniqueStrings((raw?.tags || []).flatMap((t) => t.split(/[,،]/))),
+    description: raw?.description?.trim() || null,
+    canonical_url: raw?.canonical_url || null,
+    modified_at: modifiedRaw ? normalizeDate(modifiedRaw) : null,
+    section: raw?.section || section || null,
+    related_links: uniqueStrings(
+      (raw?.related_links || []).filter((u) => /^https?:\/\//.test(u))
+    ),
+    comment_count: commentCount(raw?.comment_count),
+    word_count: words,
+    reading_time_min: Math.ceil(words / WORDS_PER_MINUTE),
+  };
+}
+
+module.exports = { WORDS_PER_MINUTE, extractMeta, pickMeta, wordCount };
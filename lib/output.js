@@ -0,0 +1,122 @@
+/** @format */
+
+const fs = require("fs");
+const path = require("path");
+const { RECORD_FIELDS } = require("./schema");
+const { DEFAULT_SINKS, createSink, parseSinks } = require("./sinks");
+const { readExistingIds } = require("./sinks/jsonl");
+
+const DEFAULT_OUT_DIR = path.join(__dirname, "..", "data");
+
+// Dead-letter file for URLs that could not be scraped even after retries
+function failedPath(dir, name) {
+  return path.join(dir, `failed_${name}.jsonl`);
+}
+
+/**
+ * Open the run's sinks (default <dir>/<name>.jsonl and <dir>/<name>.csv,
+ * see lib/sinks). Existing files are appended to, never truncated. Records
+ * that fail validation go to <name>.rejected.jsonl, URLs that failed to
+ * load to failed_<name>.jsonl. Sinks buffer their rows: flush() or close()
+ * before relying on what is on disk.
+ */
+function createOutput({ dir = DEFAULT_OUT_DIR, name, sinks = DEFAULT_SINKS }) {
+  const rejectedPath = path.join(dir, `${name}.rejected.jsonl`);
+  const deadLetterPath = failedPath(dir, name);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const opened = parseSinks(sinks).map((kind) =>
+    createSink(kind, { dir, name, columns: RECORD_FIELDS })
+  );
+  const pathOf = (kind) => opened.find((s) => s.kind === kind)?.path || null;
+
+  function write(record) {
+    for (const sink of opened) sink.write(record);
+  }
+
+  // Quarantine: keep the row and the reasons, out of the dataset proper
+  function reject(record, errors) {
+    const line = JSON.stringify({ errors, record }) + "\n";
+    fs.appendFileSync(rejectedPath, line, "utf8");
+  }
+
+  function fail(entry) {
+    fs.appendFileSync(deadLetterPath, JSON.stringify(entry) + "\n", "utf8");
+  }
+
+  // Ids any sink already holds, so nothing is written twice across runs
+  async function existingIds() {
+    const ids = new Set();
+    for (const sink of opened) {
+      for (const id of await sink.existingIds()) ids.add(id);
+    }
+    return ids;
+  }
+
+  return {
+    dir,
+    sinks: opened,
+    jsonlPath: pathOf("jsonl"),
+    csvPath: pathOf("csv"),
+    rejectedPath,
+    failedPath: deadLetterPath,
+    write,
+    reject,
+    fail,
+    existingIds,
+    flush: () => Promise.all(opened.map((s) => s.flush())),
+    close: () => Promise.all(opened.map((s) => s.close())),
+  };
+}
+
+// Delete everything createOutput(dir, name) may have written, for outputs
+// that are rebuilt from scratch rather than appended to
+function removeOutput(dir, name) {
+  for (const suffix of [
+    ".jsonl",
+    ".csv",
+    ".parquet",
+    ".sqlite",
+    ".rejected.jsonl",
+  ]) {
+    fs.rmSync(path.join(dir, name + suffix), { recursive: true, force: true });
+  }
+}
+
+// Write a whole file via a temp file, so readers never see half of it
+async function writeLinesAtomic(file, lines) {
+  const tmp = file + ".tmp";
+  const out = fs.createWriteStream(tmp, "utf8");
+  for (const line of lines) {
+    if (!out.write(line)) await new Promise((r) => out.once("drain", r));
+  }
+  await new Promise((resolve, reject) => {
+    out.on("error", reject);
+    out.end(resolve);
+  });
+  fs.renameSync(tmp, file);
+}
+
+// Dead-letter entries, the latest one per URL (bad lines are ignored)
+function readFailed(file) {
+  const byUrl = new Map();
+  if (!fs.existsSync(file)) return [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.url) byUrl.set(entry.url, entry);
+    } catch {}
+  }
+  return Array.from(byUrl.values());
+}
+
+module.exports = {
+  DEFAULT_OUT_DIR,
+  failedPath,
+  createOutput,
+  removeOutput,
+  readExistingIds,
+  readFailed,
+  writeLinesAtomic,
+};
@@ -0,0 +1,59 @@
+/** @format */
+
+const { LABELS, RECORD_FIELDS, EXTRA_FIELDS } = require("./schema");
+const { normalizeDate } = require("./dates");
+const { cleanText } = require("./text");
+const { pickMeta } = require("./meta");
+
+/**
+ * Build a record from a list item ({ url, ...card fields }) and the fields
+ * extracted from the article page. `found` holds structured-data fields
+ * (lib/structured.js) and wins over both wherever it has a value. Adapter
+ * defaults fill the gaps; the adapter's optional mapRecord(record, data)
+ * hook gets the last word. The numeric label always follows label_name.
+ * The body text is kept as extracted (content_raw) and cleaned with
+ * lib/text.js (content_clean, also `content`), using the adapter's `text`
+ * options overridden by `text`. `meta` is built from the page's raw
+ * metadata (data.meta, lib/meta.js) for every record; `author` is the
+ * first of its authors.
+ */
+function buildRecord(adapter, item, data = {}, found = null, text = {}) {
+  const merged = { ...item, ...data };
+  for (const [k, v] of Object.entries(found || {})) {
+    if (v != null) merged[k] = v;
+  }
+  const clean = cleanText(merged.content || null, { ...adapter.text, ...text });
+  const meta = pickMeta(merged.meta, {
+    author: merged.author,
+    section: merged.section,
+    content: clean,
+  });
+  let record = {
+    article_id: adapter.articleId(item.url) || "",
+    publisher: adapter.publisher,
+    source: item.url,
+    category: adapter.category,
+    topic: merged.topic || null,
+    published_at: normalizeDate(merged.published_at),
+    published_at_raw: merged.published_at || null,
+    headline: merged.headline || "",
+    content: clean,
+    content_raw: merged.content || null,
+    content_clean: clean,
+    label: null,
+    label_name: adapter.labelName,
+    language: adapter.language || "bn",
+    scraped_at: new Date().toISOString(),
+    meta,
+  };
+  for (const f of EXTRA_FIELDS) {
+    if (merged[f] != null) record[f] = merged[f];
+  }
+  if (meta.authors.length) record.author = meta.authors[0];
+  else delete record.author;
+  if (adapter.mapRecord) record = adapter.mapRecord(record, merged);
+  record.label = LABELS[record.label_name]?.value ?? null;
+  return record;
+}
+
+module.exports = { RECORD_FIELDS, buildRecord };
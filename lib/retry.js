@@ -0,0 +1,98 @@
+/** @format */
+
+// Per-URL retries. Errors are sorted into a few kinds so that a dead page
+// (404) fails at once while a timeout or a 502 gets another go after an
+// exponentially growing pause.
+
+const { sleep, jitter } = require("./timing");
+const { ThrottledError } = require("./scheduler");
+
+const RETRY_DEFAULTS = {
+  retries: 3, // extra attempts after the first
+  baseMs: 2000, // pause before the first retry, doubled each time
+  maxMs: 60000,
+};
+
+class HttpError extends Error {
+  constructor(url, status) {
+    super(`HTTP ${status} for ${url}`);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+// The page loaded but the adapter's selectors found nothing in it
+class SelectorError extends Error {
+  constructor(url, what = "headline and content") {
+    super(`No ${what} found on ${url}`);
+    this.name = "SelectorError";
+  }
+}
+
+const NETWORK_ERROR =
+  /net::ERR_|fetch failed|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|socket hang up/i;
+
+/**
+ * -> { kind, status, retryable }. kind is one of timeout, http, throttled,
+ * selector, network or other. Throttling was already retried by the
+ * scheduler; a page the selectors found nothing in will look the same next
+ * time, and "other" is most likely a bug, so retrying won't fix either.
+ */
+function classifyError(err) {
+  const message = String(err?.message || err);
+  if (err instanceof ThrottledError) {
+    return { kind: "throttled", status: err.status, retryable: false };
+  }
+  if (err instanceof HttpError) {
+    const retryable = err.status >= 500 || err.status === 408;
+    return { kind: "http", status: err.status, retryable };
+  }
+  if (err instanceof SelectorError) {
+    return { kind: "selector", status: null, retryable: false };
+  }
+  if (err?.name === "TimeoutError" || /timed? ?out/i.test(message)) {
+    return { kind: "timeout", status: null, retryable: true };
+  }
+  const cause = err?.cause?.code || "";
+  if (NETWORK_ERROR.test(`${message} ${cause}`)) {
+    return { kind: "network", status: null, retryable: true };
+  }
+  return { kind: "other", status: null, retryable: false };
+}
+
+// Pause before retry number `n` (1-based), with up to 20% jitter
+function backoffDelay(n, { baseMs, maxMs } = RETRY_DEFAULTS) {
+  const ms = Math.min(maxMs, baseMs * 2 ** (n - 1));
+  return jitter(ms, Math.floor(ms / 5));
+}
+
+/**
+ * Call fn() until it resolves, a non-retryable error comes up or the retries
+ * run out. The error that finally escapes carries `attempts` and the
+ * classification (`kind`, `status`). onRetry(err, n, delayMs) is for logging.
+ */
+async function withRetry(fn, options = {}, onRetry = () => {}) {
+  const policy = { ...RETRY_DEFAULTS, ...options };
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      const { kind, status, retryable } = classifyError(err);
+      if (!retryable || attempt > policy.retries) {
+        throw Object.assign(err, { kind, status, attempts: attempt });
+      }
+      const delay = backoffDelay(attempt, policy);
+      onRetry(err, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  RETRY_DEFAULTS,
+  HttpError,
+  SelectorError,
+  classifyError,
+  backoffDelay,
+  withRetry,
+};
@@ -0,0 +1,162 @@
+/** @format */
+
+// robots.txt compliance (RFC 9309): each host's file is fetched once per run,
+// disallowed paths are refused and Crawl-delay slows the host down.
+
+const { NAV_TIMEOUT_MS, DEFAULT_USER_AGENT } = require("./browser");
+
+class RobotsError extends Error {
+  constructor(url) {
+    super(`Disallowed by robots.txt: ${url}`);
+    this.name = "RobotsError";
+  }
+}
+
+/**
+ * -> [{ agents, rules: [{ allow, path }], crawlDelayMs }]. Consecutive
+ * user-agent lines share a group; comments and unknown lines are ignored.
+ */
+function parseRobots(text) {
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, "").trim();
+    const m = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!m) continue;
+    const key = m[1].toLowerCase();
+    const value = m[2].trim();
+
+    if (key === "user-agent") {
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelayMs: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!group) continue;
+    if (key === "allow" || key === "disallow") {
+      // "Disallow:" with no path allows everything
+      if (value) group.rules.push({ allow: key === "allow", path: value });
+    } else if (key === "crawl-delay") {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) {
+        group.crawlDelayMs = seconds * 1000;
+      }
+    }
+  }
+  return groups;
+}
+
+// The product token robots.txt groups are matched on: "name" in "name/1.0 (...)"
+function agentToken(userAgent) {
+  return String(userAgent).split(/[/\s]/)[0].toLowerCase();
+}
+
+// Groups naming our token win over "*"; several matching groups are merged
+function groupFor(groups, userAgent) {
+  const token = agentToken(userAgent);
+  let matched = groups.filter((g) => g.agents.includes(token));
+  if (matched.length === 0) {
+    matched = groups.filter((g) => g.agents.includes("*"));
+  }
+  const delays = matched.map((g) => g.crawlDelayMs).filter((d) => d !== null);
+  return {
+    rules: matched.flatMap((g) => g.rules),
+    crawlDelayMs: delays.length > 0 ? Math.max(...delays) : null,
+  };
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp("^" + body + (anchored ? "$" : ""));
+}
+
+function decodePath(p) {
+  try {
+    return decodeURIComponent(p);
+  } catch {
+    return p;
+  }
+}
+
+/**
+ * The longest matching rule decides; on a tie Allow wins. Paths are
+ * compared percent-decoded, so Bangla slugs match either spelling.
+ */
+function isAllowed(rules, pathWithQuery) {
+  const target = decodePath(pathWithQuery);
+  let best = null;
+  for (const rule of rules) {
+    if (!patternToRegExp(decodePath(rule.path)).test(target)) continue;
+    const longer = !best || rule.path.length > best.path.length;
+    const tie = best && rule.path.length === best.path.length;
+    if (longer || (tie && rule.allow)) best = rule;
+  }
+  return best ? best.allow : true;
+}
+
+/**
+ * check(url) -> { allowed, crawlDelayMs }. A missing robots.txt (4xx)
+ * allows everything; one that can't be fetched (5xx, network) disallows the
+ * host for this run, as RFC 9309 asks.
+ */
+function createRobots({
+  userAgent = DEFAULT_USER_AGENT,
+  timeout = NAV_TIMEOUT_MS,
+} = {}) {
+  const cache = new Map(); // origin -> Promise<{ rules, crawlDelayMs }>
+
+  async function load(origin) {
+    const url = `${origin}/robots.txt`;
+    try {
+      const res = await fetch(url, {
+        headers: { "User-Agent": userAgent },
+        signal: AbortSignal.timeout(timeout),
+      });
+      if (res.status >= 400 && res.status < 500) {
+        return { rules: [], crawlDelayMs: null };
+      }
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const found = groupFor(parseRobots(await res.text()), userAgent);
+      const delay = found.crawlDelayMs
+        ? `, Crawl-delay ${found.crawlDelayMs}ms`
+        : "";
+      console.log(
+        `robots.txt: ${found.rules.length} rules${delay} (${origin})`
+      );
+      return found;
+    } catch (err) {
+      console.warn(`robots.txt unreachable (${err.message}): ${url}`);
+      return { rules: [{ allow: false, path: "/" }], crawlDelayMs: null };
+    }
+  }
+
+  async function check(url) {
+    const u = new URL(url);
+    if (!cache.has(u.origin)) cache.set(u.origin, load(u.origin));
+    const { rules, crawlDelayMs } = await cache.get(u.origin);
+    return {
+      allowed: isAllowed(rules, u.pathname + u.search),
+      crawlDelayMs,
+    };
+  }
+
+  return { userAgent, check };
+}
+
+module.exports = {
+  RobotsError,
+  parseRobots,
+  agentToken,
+  groupFor,
+  isAllowed,
+  createRobots,
+};
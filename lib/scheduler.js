@@ -0,0 +1,184 @@
+/** @format */
+
+// One scheduler for every request a process makes: a bounded worker pool
+// shared by all adapters, and per host a token bucket (spacing between
+// requests), a cap on requests in flight and a pause after 429/503.
+
+const pLimit = require("p-limit").default;
+const { sleep, jitter } = require("./timing");
+
+const DEFAULT_POOL_SIZE = 8; // pages in flight across all hosts
+const HOST_DEFAULTS = {
+  intervalMs: 1000, // one token per interval
+  jitterMs: 0, // random extra wait before each request
+  burst: 1, // tokens a quiet host can bank
+  maxInFlight: 1,
+};
+const BACKOFF = {
+  baseMs: 5000, // first pause after a 429/503, doubled per repeat
+  maxMs: 5 * 60 * 1000,
+  retries: 5, // retries after a 429/503 before the request gives up
+};
+const THROTTLE_STATUSES = new Set([429, 503]);
+
+class ThrottledError extends Error {
+  constructor(url, status, retryAfterMs = null) {
+    super(`HTTP ${status} (throttled) for ${url}`);
+    this.name = "ThrottledError";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Retry-After is either delay-seconds or an HTTP date -> ms, or null
+function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === "") return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+  const at = Date.parse(text);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+/**
+ * Throw a ThrottledError for a 429/503 navigation response (Puppeteer's or
+ * lib/http.js's); anything else passes through.
+ */
+function throwIfThrottled(url, response) {
+  const status = response?.status() || 0;
+  if (!THROTTLE_STATUSES.has(status)) return response;
+  const headers = response.headers ? response.headers() : {};
+  throw new ThrottledError(
+    url,
+    status,
+    parseRetryAfter(headers["retry-after"])
+  );
+}
+
+function createHostLimiter(options = {}, backoff = BACKOFF) {
+  const config = { ...HOST_DEFAULTS, ...options };
+  let tokens = config.burst;
+  let refilledAt = Date.now();
+  let pausedUntil = 0;
+  let strikes = 0; // 429/503s in a row
+  let inFlight = 0;
+  let turn = Promise.resolve(); // acquires are served in arrival order
+  const slotWaiters = [];
+
+  function refill(now) {
+    const gained = (now - refilledAt) / Math.max(1, config.intervalMs);
+    tokens = Math.min(config.burst, tokens + gained);
+    refilledAt = now;
+  }
+
+  async function waitForTurn() {
+    while (inFlight >= config.maxInFlight) {
+      await new Promise((r) => slotWaiters.push(r));
+    }
+    for (;;) {
+      const now = Date.now();
+      if (now < pausedUntil) {
+        await sleep(pausedUntil - now);
+        continue;
+      }
+      refill(now);
+      if (tokens >= 1) break;
+      await sleep(Math.ceil((1 - tokens) * config.intervalMs));
+    }
+    tokens -= 1;
+    inFlight += 1;
+    if (config.jitterMs > 0) await sleep(jitter(0, config.jitterMs));
+  }
+
+  return {
+    config,
+    acquire() {
+      const mine = turn.then(waitForTurn);
+      turn = mine.catch(() => {});
+      return mine;
+    },
+    release() {
+      inFlight -= 1;
+      const next = slotWaiters.shift();
+      if (next) next();
+    },
+    succeeded() {
+      strikes = 0;
+    },
+    // Pause the whole host; Retry-After wins when it asks for longer
+    throttled(retryAfterMs) {
+      strikes += 1;
+      const exp = Math.min(backoff.maxMs, backoff.baseMs * 2 ** (strikes - 1));
+      const delay = Math.max(exp, retryAfterMs || 0);
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      return delay;
+    },
+    get inFlight() {
+      return inFlight;
+    },
+  };
+}
+
+/**
+ * run(url, task, hostOptions) waits for the url's host and for a pool slot,
+ * then calls task(). A task that throws ThrottledError pauses the host and
+ * is retried up to backoff.retries times. hostOptions set a host's limits
+ * the first time it is seen; after that they are shared by everyone and can
+ * only be raised to a longer interval.
+ */
+function createScheduler({ poolSize = DEFAULT_POOL_SIZE, backoff } = {}) {
+  const limit = pLimit(poolSize);
+  const policy = { ...BACKOFF, ...backoff };
+  const hosts = new Map();
+
+  function hostLimiter(url, options) {
+    const host = new URL(url).host;
+    if (!hosts.has(host)) hosts.set(host, createHostLimiter(options, policy));
+    const limiter = hosts.get(host);
+    // A later caller may slow a host down (Crawl-delay), never speed it up
+    if (options?.intervalMs > limiter.config.intervalMs) {
+      limiter.config.intervalMs = options.intervalMs;
+    }
+    return limiter;
+  }
+
+  async function run(url, task, hostOptions) {
+    const limiter = hostLimiter(url, hostOptions);
+    for (let attempt = 1; ; attempt++) {
+      await limiter.acquire();
+      try {
+        const value = await limit(task);
+        limiter.succeeded();
+        return value;
+      } catch (err) {
+        if (!(err instanceof ThrottledError) || attempt > policy.retries) {
+          throw err;
+        }
+        const delay = limiter.throttled(err.retryAfterMs);
+        console.warn(`${err.message}; pausing ${new URL(url).host} ${delay}ms`);
+      } finally {
+        limiter.release();
+      }
+    }
+  }
+
+  return { run, hostLimiter, hosts };
+}
+
+// The process-wide scheduler; poolSize only counts on the first call
+let shared = null;
+function sharedScheduler(options) {
+  if (!shared) shared = createScheduler(options);
+  return shared;
+}
+
+module.exports = {
+  DEFAULT_POOL_SIZE,
+  HOST_DEFAULTS,
+  BACKOFF,
+  ThrottledError,
+  parseRetryAfter,
+  throwIfThrottled,
+  createHostLimiter,
+  createScheduler,
+  sharedScheduler,
+};
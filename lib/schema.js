@@ -0,0 +1,129 @@
+/** @format */
+
+// The record schema: every field, what it means and what values it may take.
+// Every record is checked against it before it is written.
+
+/**
+ * Label vocabulary. `label_name` says what a row is; `label` is the binary
+ * training target derived from it (1 = real news, 0 = anything else).
+ */
+const LABELS = {
+  fake: { value: 0, description: "false claim, debunked by a fact-checker" },
+  misleading: {
+    value: 0,
+    description: "partly true, missing context or altered media",
+  },
+  satire: { value: 0, description: "humor or satire, false by design" },
+  real: { value: 1, description: "published as news, or rated true" },
+};
+const LABEL_NAMES = Object.keys(LABELS);
+
+// What kind of page a row came from (the site's own section lives in `topic`)
+const CATEGORIES = ["jokes", "satire", "fact-check", "news"];
+
+const FIELDS = {
+  article_id: { type: "string", required: true },
+  publisher: { type: "string", required: true }, // short site name, "jachai"
+  source: { type: "url", required: true }, // article URL
+  category: { oneOf: CATEGORIES, required: true },
+  topic: { type: "string" }, // site section slug, if any
+  published_at: { type: "datetime" }, // ISO 8601 UTC (lib/dates.js)
+  published_at_raw: { type: "string" }, // the date exactly as the site shows it
+  headline: { type: "string" },
+  content: { type: "string" }, // = content_clean, for older readers
+  content_raw: { type: "string" }, // body text exactly as extracted
+  content_clean: { type: "string" }, // after lib/text.js
+  label: { oneOf: [0, 1], required: true },
+  label_name: { oneOf: LABEL_NAMES, required: true },
+  language: { type: "string", required: true }, // BCP 47, "bn"
+  scraped_at: { type: "datetime", required: true },
+  // authors, tags, description, canonical URL, modified date, related
+  // links, comment count, length (lib/meta.js)
+  meta: { type: "object", required: true },
+  // Extras: only present on records whose page provides them
+  author: { type: "string", extra: true }, // the first of meta.authors
+  // fact-checks only
+  claim_reviewed: { type: "string", extra: true }, // the claim as stated
+  claimant: { type: "string", extra: true }, // who made or spread the claim
+  verdict: { type: "string", extra: true }, // the checker's own rating text
+  rating_scale: { type: "string", extra: true }, // e.g. "1-5"
+  claim_appearances: { type: "list", extra: true }, // URLs of the claim
+  // fact-check bodies (lib/evidence.js): outbound links, images and embeds
+  evidence_links: { type: "list", items: "object", extra: true },
+  media: { type: "list", items: "object", extra: true },
+  // crawls with --media: downloaded images and their hashes (lib/media.js)
+  images: { type: "list", items: "object", extra: true },
+  // crawls with --warc: WARC-Record-ID of the response the page came from
+  warc_record_id: { type: "string", extra: true },
+};
+
+// Field order, also the CSV column order
+const RECORD_FIELDS = Object.keys(FIELDS);
+const EXTRA_FIELDS = RECORD_FIELDS.filter((f) => FIELDS[f].extra);
+
+function checkField(name, spec, v) {
+  if (v === null || v === undefined || v === "") {
+    return spec.required ? `${name} is required` : null;
+  }
+  if (spec.oneOf) {
+    return spec.oneOf.includes(v)
+      ? null
+      : `${name} must be one of ${spec.oneOf.join("/")}, got ${v}`;
+  }
+  if (spec.type === "list") {
+    const items = spec.items || "string";
+    const ok = (x) =>
+      items === "object"
+        ? x !== null && typeof x === "object" && !Array.isArray(x)
+        : typeof x === items;
+    return Array.isArray(v) && v.every(ok)
+      ? null
+      : `${name} must be a list of ${items}s`;
+  }
+  if (spec.type === "object") {
+    return typeof v === "object" && !Array.isArray(v)
+      ? null
+      : `${name} must be an object`;
+  }
+  if (typeof v !== "string") return `${name} must be a string`;
+  if (spec.type === "url" && !/^https?:\/\/\S+$/.test(v)) {
+    return `${name} is not an http(s) URL`;
+  }
+  if (spec.type === "datetime" && isNaN(Date.parse(v))) {
+    return `${name} is not a date`;
+  }
+  return null;
+}
+
+/**
+ * Return a list of problems with `record` (empty when it is valid).
+ * Unknown fields are errors too, so typos don't slip into the dataset.
+ */
+function validateRecord(record) {
+  const errors = [];
+  for (const [name, spec] of Object.entries(FIELDS)) {
+    const err = checkField(name, spec, record[name]);
+    if (err) errors.push(err);
+  }
+  for (const name of Object.keys(record)) {
+    if (!FIELDS[name]) errors.push(`unknown field ${name}`);
+  }
+  const expected = LABELS[record.label_name]?.value;
+  if (expected !== undefined && record.label !== expected) {
+    errors.push(`label ${record.label} contradicts label_name`);
+  }
+  if (!record.headline && !record.content) {
+    errors.push("headline and content are both empty");
+  }
+  return errors;
+}
+
+module.exports = {
+  LABELS,
+  LABEL_NAMES,
+  CATEGORIES,
+  FIELDS,
+  RECORD_FIELDS,
+  EXTRA_FIELDS,
+  validateRecord,
+};
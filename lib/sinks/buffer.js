@@ -0,0 +1,35 @@
+/** @format */
+
+// The buffering every sink shares: write() only queues, rows reach the disk
+// in batches, and batches are written one after another so a slow flush
+// never interleaves with the next.
+
+const DEFAULT_BATCH_ROWS = 200;
+
+/**
+ * writeBatch(rows) -> Promise does the actual I/O. A full buffer starts a
+ * flush on its own; flush() and close() wait for everything queued so far.
+ */
+function createBuffer(writeBatch, { batchRows = DEFAULT_BATCH_ROWS } = {}) {
+  let rows = [];
+  let pending = Promise.resolve();
+
+  function flush() {
+    if (rows.length > 0) {
+      const batch = rows;
+      rows = [];
+      pending = pending.then(() => writeBatch(batch));
+    }
+    return pending;
+  }
+
+  return {
+    write(row) {
+      rows.push(row);
+      if (rows.length >= batchRows) flush().catch(() => {}); // surfaced by the next flush
+    },
+    flush,
+  };
+}
+
+module.exports = { DEFAULT_BATCH_ROWS, createBuffer };
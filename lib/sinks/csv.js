@@ -0,0 +1,84 @@
+/** @format */
+
+// <name>.csv in RFC 4180: CRLF row ends, fields quoted when they hold a
+// comma, quote or line break, newlines inside fields kept. UTF-8, no BOM.
+// Lists and objects are written as JSON.
+
+const fs = require("fs");
+const path = require("path");
+const { parseFile, writeToString } = require("fast-csv");
+const { createBuffer } = require("./buffer");
+
+const CSV_OPTIONS = { rowDelimiter: "\r\n", includeEndRowDelimiter: true };
+
+function toCsvValue(v) {
+  if (v === null || v === undefined) return "";
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
+
+// Columns of an existing CSV, so rows keep matching a header from older runs
+function readCsvHeader(csvPath) {
+  const fd = fs.openSync(csvPath, "r");
+  try {
+    const buf = Buffer.alloc(4096);
+    const n = fs.readSync(fd, buf, 0, buf.length, 0);
+    const first = buf.toString("utf8", 0, n).split(/\r?\n/)[0];
+    return first.replace(/^\uFEFF/, "").split(",");
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Rows of a CSV file as objects keyed by its header. A BOM and stray
+// spaces around header names are dropped; bad rows are skipped.
+async function* readCsv(file) {
+  const rows = parseFile(file, {
+    headers: (names) => names.map((h) => h.replace(/^\uFEFF/, "").trim()),
+    ignoreEmpty: true,
+    discardUnmappedColumns: true,
+  }).on("data-invalid", () => {});
+  for await (const row of rows) yield row;
+}
+
+function csvSink({ dir, name, columns }) {
+  const file = path.join(dir, `${name}.csv`);
+  if (!fs.existsSync(file)) {
+    fs.writeFileSync(file, columns.join(",") + "\r\n", "utf8");
+  }
+  const header = readCsvHeader(file);
+  if (header.join(",") !== columns.join(",")) {
+    console.warn(`${file} has an older header; new columns are left out`);
+  }
+
+  const buffer = createBuffer(async (records) => {
+    const rows = records.map((r) => header.map((f) => toCsvValue(r[f])));
+    await fs.promises.appendFile(
+      file,
+      await writeToString(rows, CSV_OPTIONS),
+      "utf8"
+    );
+  });
+
+  return {
+    kind: "csv",
+    path: file,
+    write: buffer.write,
+    flush: buffer.flush,
+    close: buffer.flush,
+    async existingIds() {
+      const ids = new Set();
+      for await (const row of readCsv(file)) {
+        if (row.article_id) ids.add(String(row.article_id));
+      }
+      return ids;
+    },
+  };
+}
+
+module.exports = {
+  CSV_OPTIONS,
+  toCsvValue,
+  readCsvHeader,
+  readCsv,
+  csvSink,
+};
@@ -0,0 +1,43 @@
+/** @format */
+
+// Output sinks. Each takes { dir, name, columns } and returns
+// { kind, path, write(record), flush(), close(), existingIds() }. write()
+// only buffers; flush() and close() resolve once the rows are written out
+// where existingIds() and other readers see them (Parquet: in a finished
+// part file); existingIds() resolves to the article_ids already in the
+// sink's output.
+
+const { jsonlSink } = require("./jsonl");
+const { csvSink } = require("./csv");
+const { parquetSink } = require("./parquet");
+
+const SINKS = {
+  jsonl: jsonlSink,
+  csv: csvSink,
+  parquet: parquetSink,
+  // better-sqlite3 is a native module: only loaded when the sink is picked,
+  // so a failed build doesn't break runs that don't use it
+  sqlite: (options) => require("./sqlite").sqliteSink(options),
+};
+const DEFAULT_SINKS = ["jsonl", "csv"];
+
+// "jsonl,parquet" or ["jsonl", "parquet"] -> validated list of sink names
+function parseSinks(value = DEFAULT_SINKS) {
+  const kinds = (Array.isArray(value) ? value : String(value).split(","))
+    .map((s) => s.trim())
+    .filter(Boolean);
+  for (const kind of kinds) {
+    if (!SINKS[kind]) {
+      const known = Object.keys(SINKS).join(", ");
+      throw new Error(`Unknown sink: ${kind} (known: ${known})`);
+    }
+  }
+  if (kinds.length === 0) throw new Error("At least one sink is needed");
+  return Array.from(new Set(kinds));
+}
+
+function createSink(kind, options) {
+  return SINKS[kind](options);
+}
+
+module.exports = { SINKS, DEFAULT_SINKS, parseSinks, createSink };
@@ -0,0 +1,61 @@
+/** @format */
+
+// <name>.jsonl: one record per line, appended. Each batch is a single
+// append, so an interrupted run never leaves half a line behind.
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { createBuffer } = require("./buffer");
+
+// article_ids already present in a JSONL file (bad lines are ignored)
+function readExistingIds(jsonlPath) {
+  const ids = new Set();
+  if (!fs.existsSync(jsonlPath)) return ids;
+  for (const line of fs.readFileSync(jsonlPath, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const { article_id } = JSON.parse(line);
+      if (article_id) ids.add(String(article_id));
+    } catch {}
+  }
+  return ids;
+}
+
+// Records of a JSONL file, streamed (bad lines are skipped)
+async function* readJsonl(file) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file, "utf8"),
+    crlfDelay: Infinity,
+  });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch {}
+  }
+}
+
+function jsonlSink({ dir, name }) {
+  const file = path.join(dir, `${name}.jsonl`);
+  if (!fs.existsSync(file)) fs.writeFileSync(file, "", "utf8");
+
+  const buffer = createBuffer((rows) =>
+    fs.promises.appendFile(
+      file,
+      rows.map((r) => JSON.stringify(r) + "\n").join(""),
+      "utf8"
+    )
+  );
+
+  return {
+    kind: "jsonl",
+    path: file,
+    write: buffer.write,
+    flush: buffer.flush,
+    close: buffer.flush,
+    existingIds: async () => readExistingIds(file),
+  };
+}
+
+module.exports = { readExistingIds, readJsonl, jsonlSink };
@@ -0,0 +1,137 @@
+/** @format */
+
+// <name>.parquet/part-<run>-<n>.parquet: the directory reads as one table
+// in pandas, pyarrow or DuckDB. Row groups are streamed to a .tmp file that
+// is renamed once the footer is written, and every flush() finishes the
+// part it is writing: what a crawl has checkpointed is in a readable file,
+// and a crashed run leaves no broken part behind.
+
+const fs = require("fs");
+const path = require("path");
+const { asyncBufferFromFile, parquetReadObjects } = require("hyparquet");
+const {
+  ParquetWriter,
+  fileWriter,
+  schemaFromColumnData,
+} = require("hyparquet-writer");
+const { FIELDS } = require("../schema");
+const { createBuffer } = require("./buffer");
+
+const ROW_GROUP_ROWS = 1000;
+
+// Parquet column type for a schema field
+function parquetType(spec = {}) {
+  if (spec.type === "list" || spec.type === "object") return "JSON";
+  if (spec.type === "datetime") return "TIMESTAMP";
+  if (spec.oneOf && spec.oneOf.every((v) => Number.isInteger(v))) {
+    return "INT32";
+  }
+  return "STRING";
+}
+
+function toParquetValue(type, v) {
+  if (v === null || v === undefined || v === "") return null;
+  if (type === "TIMESTAMP") {
+    const d = new Date(v);
+    return isNaN(d) ? null : d;
+  }
+  if (type === "STRING") return String(v);
+  return v;
+}
+
+// article_ids in the finished parts of a <name>.parquet folder
+async function readParquetIds(folder) {
+  const ids = new Set();
+  if (!fs.existsSync(folder)) return ids;
+  for (const part of fs.readdirSync(folder)) {
+    if (!part.endsWith(".parquet")) continue; // .tmp: a crashed run
+    const rows = await parquetReadObjects({
+      file: await asyncBufferFromFile(path.join(folder, part)),
+      columns: ["article_id"],
+    });
+    for (const { article_id } of rows) {
+      if (article_id) ids.add(String(article_id));
+    }
+  }
+  return ids;
+}
+
+function parquetSink({ dir, name, columns }) {
+  const folder = path.join(dir, `${name}.parquet`);
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const types = columns.map((c) => parquetType(FIELDS[c]));
+
+  let writer = null; // opened with the first row group of each part
+  let file = null;
+  let parts = 0;
+  let rows = 0;
+
+  function open() {
+    fs.mkdirSync(folder, { recursive: true });
+    parts += 1;
+    const n = String(parts).padStart(4, "0");
+    file = path.join(folder, `part-${stamp}-${n}.parquet`);
+    const schema = schemaFromColumnData({
+      columnData: columns.map((c, i) => ({
+        name: c,
+        data: [],
+        type: types[i],
+      })),
+    });
+    writer = new ParquetWriter({ writer: fileWriter(file + ".tmp"), schema });
+  }
+
+  // Buffered rows are held until a whole row group is ready or flush()
+  let held = [];
+  async function writeGroup(records) {
+    if (!writer) open();
+    writer.write({
+      columnData: columns.map((c, i) => ({
+        name: c,
+        data: records.map((r) => toParquetValue(types[i], r[c])),
+        type: types[i],
+      })),
+      rowGroupSize: ROW_GROUP_ROWS,
+    });
+    rows += records.length;
+  }
+
+  const buffer = createBuffer(async (records) => {
+    held = held.concat(records);
+    if (held.length >= ROW_GROUP_ROWS) {
+      const group = held;
+      held = [];
+      await writeGroup(group);
+    }
+  });
+
+  // Everything written so far becomes a finished part
+  async function flush() {
+    await buffer.flush();
+    if (held.length > 0) {
+      const group = held;
+      held = [];
+      await writeGroup(group);
+    }
+    if (!writer) return; // nothing new since the last part
+    writer.finish();
+    writer = null;
+    fs.renameSync(file + ".tmp", file);
+  }
+
+  return {
+    kind: "parquet",
+    path: folder,
+    write: buffer.write,
+    flush,
+    existingIds: () => readParquetIds(folder),
+    async close() {
+      await flush();
+      if (parts > 0) {
+        console.log(`Parquet: ${rows} rows in ${parts} parts under ${folder}`);
+      }
+    },
+  };
+}
+
+module.exports = { parquetType, readParquetIds, parquetSink };
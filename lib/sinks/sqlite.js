@@ -0,0 +1,70 @@
+/** @format */
+
+// <name>.sqlite: a `records` table keyed by (publisher, article_id). A row
+// scraped again replaces the old one. Each batch is one transaction, and
+// columns added to the schema later are added to the table on open.
+
+const path = require("path");
+const Database = require("better-sqlite3");
+const { FIELDS } = require("../schema");
+const { createBuffer } = require("./buffer");
+
+const TABLE = "records";
+
+function sqlType(spec = {}) {
+  if (spec.oneOf && spec.oneOf.every((v) => Number.isInteger(v))) {
+    return "INTEGER";
+  }
+  return "TEXT"; // lists and objects as JSON text
+}
+
+function toSqlValue(v) {
+  if (v === null || v === undefined) return null;
+  return typeof v === "object" ? JSON.stringify(v) : v;
+}
+
+function sqliteSink({ dir, name, columns }) {
+  const file = path.join(dir, `${name}.sqlite`);
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+
+  const defs = columns.map((c) => `"${c}" ${sqlType(FIELDS[c])}`);
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS ${TABLE} (${defs.join(", ")}, ` +
+      `PRIMARY KEY (publisher, article_id))`
+  );
+  const have = new Set(db.pragma(`table_info(${TABLE})`).map((c) => c.name));
+  for (const c of columns) {
+    if (!have.has(c)) {
+      db.exec(`ALTER TABLE ${TABLE} ADD COLUMN "${c}" ${sqlType(FIELDS[c])}`);
+    }
+  }
+
+  const quoted = columns.map((c) => `"${c}"`).join(", ");
+  const insert = db.prepare(
+    `INSERT OR REPLACE INTO ${TABLE} (${quoted}) ` +
+      `VALUES (${columns.map(() => "?").join(", ")})`
+  );
+  const insertAll = db.transaction((records) => {
+    for (const r of records) insert.run(columns.map((c) => toSqlValue(r[c])));
+  });
+
+  const buffer = createBuffer(async (records) => insertAll(records));
+
+  return {
+    kind: "sqlite",
+    path: file,
+    write: buffer.write,
+    flush: buffer.flush,
+    async close() {
+      await buffer.flush();
+      db.close();
+    },
+    async existingIds() {
+      const rows = db.prepare(`SELECT article_id FROM ${TABLE}`).all();
+      return new Set(rows.map((r) => String(r.article_id)));
+    },
+  };
+}
+
+module.exports = { TABLE, sqliteSink };
@@ -0,0 +1,72 @@
+/** @format */
+
+// Crawl checkpoint: where the last run got to and which article ids it has
+// already dealt with, kept next to the output as <name>.state.json.
+
+const fs = require("fs");
+const path = require("path");
+
+function checkpointPath(dir, name) {
+  return path.join(dir, `${name}.state.json`);
+}
+
+function readCheckpoint(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    console.warn("Ignoring unreadable checkpoint:", file, err.message);
+    return null;
+  }
+}
+
+/**
+ * `page` is the list page being worked on (paginated crawls), `clicks` the
+ * number of "Load More" clicks done so far. `processedIds` holds saved and
+ * deliberately skipped articles; failures stay out so a resume retries them.
+ * With resume=false the previous checkpoint is replaced, not merged.
+ */
+function createCheckpoint({ file, adapter, resume = false }) {
+  const prev = resume ? readCheckpoint(file) : null;
+  const processed = new Set(prev?.processedIds || []);
+  const data = {
+    adapter: adapter.name,
+    page: prev?.page ?? null,
+    clicks: prev?.clicks ?? 0,
+    finished: false,
+    updatedAt: null,
+  };
+
+  function save() {
+    data.updatedAt = new Date().toISOString();
+    const tmp = file + ".tmp";
+    const body = { ...data, processedIds: Array.from(processed) };
+    fs.writeFileSync(tmp, JSON.stringify(body), "utf8");
+    fs.renameSync(tmp, file); // never leave a half-written checkpoint
+  }
+
+  return {
+    file,
+    resumed: Boolean(prev),
+    data,
+    processed,
+    markProcessed(id) {
+      if (id) processed.add(id);
+    },
+    setPage(n) {
+      data.page = n;
+      save();
+    },
+    setClicks(n) {
+      data.clicks = n;
+      save();
+    },
+    finish() {
+      data.finished = true;
+      save();
+    },
+    save,
+  };
+}
+
+module.exports = { checkpointPath, readCheckpoint, createCheckpoint };
@@ -0,0 +1,134 @@
+/** @format */
+
+// schema.org structured data (JSON-LD and microdata) from article pages.
+// Fact-checkers embed ClaimReview for search engines; where a page has it,
+// it is a better metadata source than our CSS selectors.
+
+/**
+ * Runs inside the page (self-contained). Returns every schema.org item on
+ * the page as a plain object with a short "@type" ("ClaimReview", ...).
+ * JSON-LD @graph containers and arrays are flattened; microdata itemscope
+ * trees become nested objects keyed by itemprop.
+ */
+function extractStructuredData() {
+  const items = [];
+
+  function pushJson(node) {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) return node.forEach(pushJson);
+    if (node["@graph"]) pushJson(node["@graph"]);
+    if (node["@type"]) items.push(node);
+  }
+  for (const s of document.querySelectorAll(
+    'script[type="application/ld+json"]'
+  )) {
+    try {
+      pushJson(JSON.parse(s.textContent));
+    } catch (_) {}
+  }
+
+  function propValue(el) {
+    if (el.hasAttribute("itemscope")) return readScope(el);
+    const attr = { META: "content", A: "href", LINK: "href", TIME: "datetime" };
+    const name = attr[el.tagName];
+    if (name && el.getAttribute(name)) return el.getAttribute(name).trim();
+    if (el.tagName === "IMG") return el.getAttribute("src");
+    return (el.textContent || "").trim();
+  }
+  function collectProps(el, into) {
+    for (const child of el.children) {
+      const prop = child.getAttribute("itemprop");
+      if (prop) {
+        const v = propValue(child);
+        for (const key of prop.split(/\s+/)) {
+          if (into[key] === undefined) into[key] = v;
+          else into[key] = [].concat(into[key], v);
+        }
+      }
+      // a nested scope's own props belong to it, not to us
+      if (!child.hasAttribute("itemscope")) collectProps(child, into);
+    }
+    return into;
+  }
+  function readScope(el) {
+    const type = (el.getAttribute("itemtype") || "").split("/").pop();
+    return collectProps(el, { "@type": type });
+  }
+  for (const el of document.querySelectorAll("[itemscope]:not([itemprop])")) {
+    items.push(readScope(el));
+  }
+
+  return items;
+}
+
+function first(v) {
+  return Array.isArray(v) ? v[0] : v;
+}
+
+function hasType(item, type) {
+  return [].concat(item["@type"] || []).some((t) => String(t).endsWith(type));
+}
+
+function nameOf(v) {
+  const x = first(v);
+  if (!x) return null;
+  return typeof x === "string" ? x : x.name || null;
+}
+
+function urlsOf(v) {
+  return []
+    .concat(v || [])
+    .map((x) => (typeof x === "string" ? x : x && (x.url || x["@id"])))
+    .filter((u) => typeof u === "string" && /^https?:\/\//.test(u));
+}
+
+/**
+ * Pick record fields out of extractStructuredData() output. ClaimReview
+ * wins over NewsArticle/Article; missing values stay null so callers can
+ * fall back to their own selectors.
+ */
+function pickStructuredFields(items = []) {
+  const review = items.find((it) => hasType(it, "ClaimReview"));
+  const article = items.find((it) =>
+    ["NewsArticle", "Article", "BlogPosting", "ReportageNewsArticle"].some(
+      (t) => hasType(it, t)
+    )
+  );
+  const out = {
+    headline: null,
+    published_at: null,
+    author: null,
+    claim_reviewed: null,
+    claimant: null,
+    verdict: null,
+    rating_scale: null,
+    claim_appearances: null,
+  };
+
+  if (article) {
+    out.headline = first(article.headline) || first(article.name) || null;
+    out.published_at = first(article.datePublished) || null;
+    out.author = nameOf(article.author);
+  }
+
+  if (review) {
+    const rating = first(review.reviewRating) || {};
+    const claim = first(review.itemReviewed) || {};
+    out.claim_reviewed = first(review.claimReviewed) || null;
+    out.verdict = first(rating.alternateName) || null;
+    if (rating.worstRating != null && rating.bestRating != null) {
+      out.rating_scale = `${first(rating.worstRating)}-${first(
+        rating.bestRating
+      )}`;
+    }
+    out.claimant = nameOf(claim.author);
+    const urls = urlsOf(claim.appearance).concat(urlsOf(claim.firstAppearance));
+    out.claim_appearances = urls.length ? Array.from(new Set(urls)) : null;
+    out.published_at = first(review.datePublished) || out.published_at;
+    out.author = nameOf(review.author) || out.author;
+  }
+
+  return out;
+}
+
+module.exports = { extractStructuredData, pickStructuredFields };
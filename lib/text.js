@@ -0,0 +1,163 @@
+/** @format */
+
+// Post-processing for scraped article text. Extractors return the text as the
+// page gives it (content_raw); cleanText turns that into content_clean through
+// a fixed sequence of steps, each of which can be switched off or tuned.
+
+const { toAsciiDigits, toBanglaDigits } = require("./dates");
+
+const TEXT_DEFAULTS = {
+  nfc: true, // Unicode NFC, so the same word is always the same code points
+  zeroWidth: true, // drop stray zero-width characters
+  digits: "keep", // "keep" | "ascii" | "bangla"
+  punctuation: true, // dari, spacing around punctuation
+  boilerplate: true, // link dumps and share-button text
+  boilerplatePatterns: [], // extra RegExps; a matching line is dropped
+  whitespace: true, // one paragraph per line, no blank lines
+  sentences: false, // one sentence per line
+};
+const DIGIT_MODES = ["keep", "ascii", "bangla"];
+
+const BN = "\u0980-\u09ff";
+const BN_CHAR = new RegExp(`[${BN}]`);
+
+// ZWSP, word joiner, BOM and soft hyphen never belong in the text; ZWNJ/ZWJ
+// only do between two Bangla characters, where they choose a conjunct form
+function stripZeroWidth(text) {
+  return text
+    .replace(/[\u200b\u2060\ufeff\u00ad]/g, "")
+    .replace(/[\u200c\u200d]+/g, (run, i, s) =>
+      BN_CHAR.test(s[i - 1] || "") && BN_CHAR.test(s[i + run.length] || "")
+        ? run[0]
+        : ""
+    );
+}
+
+function convertDigits(text, mode) {
+  if (mode === "ascii") return toAsciiDigits(text);
+  if (mode === "bangla") return toBanglaDigits(text);
+  return text;
+}
+
+// URLs, with or without a scheme: their "?" and "!" are not punctuation
+const URL_TOKEN = /((?:https?:\/\/|www\.)\S+|[\w-]+(?:\.[\w-]+)+\/\S*)/;
+
+function fixPunctuation(text) {
+  return text
+    .split(URL_TOKEN)
+    .map((part, i) =>
+      i % 2 === 1
+        ? part
+        : part
+            // "|" typed for the dari after a Bangla word
+            .replace(new RegExp(`([${BN}])\\s*\\|(?=\\s|$)`, "gm"), "$1।")
+            .replace(/।{2,}/g, "।")
+            .replace(/[ \t]+([।,;?!])/g, "$1")
+            // a space before the next word or opening quote, not in "?!"
+            .replace(/([।?!])(?=[\p{L}\p{N}“‘(\[])/gu, "$1 ")
+    )
+    .join("");
+}
+
+// "ফেসবুকে ছড়িয়ে পড়া এমন কিছু পোস্ট দেখুন এখানে, এখানে এবং এখানে।": the
+// anchors were links, and without them the sentence is noise
+const LINK_DUMP = new RegExp(
+  (
+    "(ফেসবুকে|সামাজিক\\s+(যোগাযোগ)?মাধ্যমে)\\s+(ছড়িয়ে\\s+পড়া|প্রচারিত)" +
+    "[^।]{0,40}?দেখুন(\\s*(এখানে|এবং|ও)(?=[\\s,;:।]|$)|\\s*[,;:])+\\s*।?"
+  ).normalize("NFC"),
+  "g"
+);
+
+const SHARE_WORDS = [
+  "share",
+  "tweet",
+  "facebook",
+  "twitter",
+  "whatsapp",
+  "messenger",
+  "telegram",
+  "linkedin",
+  "pinterest",
+  "email",
+  "print",
+  "copy link",
+  "শেয়ার",
+  "শেয়ার করুন",
+];
+const SHARE = SHARE_WORDS.join("|").normalize("NFC");
+// A line made only of share-button labels (and separators)
+const SHARE_LINE = new RegExp(`^(${SHARE})([\\s,|:·/]+(${SHARE}))*:?$`, "i");
+
+function dropBoilerplate(text, patterns = []) {
+  return text
+    .replace(LINK_DUMP, "")
+    .split("\n")
+    .filter((line) => {
+      const t = line.trim();
+      if (SHARE_LINE.test(t)) return false;
+      return !patterns.some((re) => re.test(t));
+    })
+    .join("\n");
+}
+
+function tidyWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[^\S\n]+/g, " ")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Sentences of a text: split after ।, ?, ! and ॥, and after "." when a
+ * space and a non-digit follow. Line breaks always end a sentence.
+ */
+function splitSentences(text) {
+  return String(text || "")
+    .split("\n")
+    .flatMap((line) => line.split(/(?<=[।?!॥]|\.(?=\s+\D))\s+/))
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function textOptions(options = {}) {
+  const settings = { ...TEXT_DEFAULTS, ...options };
+  if (!DIGIT_MODES.includes(settings.digits)) {
+    throw new Error(
+      `digits must be one of ${DIGIT_MODES.join("/")}, got ${settings.digits}`
+    );
+  }
+  return settings;
+}
+
+/**
+ * content_raw -> content_clean. Steps run in a fixed order: NFC, zero-width
+ * characters, digits, whitespace, punctuation, boilerplate, whitespace again
+ * (lines boilerplate emptied), sentences. null when nothing is left.
+ */
+function cleanText(text, options = {}) {
+  if (text == null) return null;
+  const o = textOptions(options);
+  let out = String(text);
+  if (o.nfc) out = out.normalize("NFC");
+  if (o.zeroWidth) out = stripZeroWidth(out);
+  out = convertDigits(out, o.digits);
+  if (o.whitespace) out = tidyWhitespace(out);
+  if (o.punctuation) out = fixPunctuation(out);
+  if (o.boilerplate) out = dropBoilerplate(out, o.boilerplatePatterns);
+  if (o.whitespace) out = tidyWhitespace(out);
+  if (o.sentences) out = splitSentences(out).join("\n");
+  return out.trim() || null;
+}
+
+module.exports = {
+  TEXT_DEFAULTS,
+  DIGIT_MODES,
+  stripZeroWidth,
+  splitSentences,
+  textOptions,
+  cleanText,
+};
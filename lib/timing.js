@@ -0,0 +1,15 @@
+/** @format */
+
+// Politeness timing shared by every adapter.
+
+const DEFAULT_JITTER_MS = 600; // small random jitter added to waits
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function jitter(ms, extra = DEFAULT_JITTER_MS) {
+  return ms + Math.floor(Math.random() * extra);
+}
+
+module.exports = { DEFAULT_JITTER_MS, sleep, jitter };
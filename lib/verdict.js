@@ -0,0 +1,38 @@
+/** @format */
+
+// Fact-checker ratings -> our label vocabulary (lib/schema.js LABELS).
+// Checked in order, so "partly false" is misleading before "false" is fake,
+// and "অসত্য" (untrue) or a negated "not true" / "সত্য নয়" is fake before
+// "সত্য" (true) is real. Patterns and ratings are compared in NFC.
+const VERDICT_RULES = [
+  {
+    label: "misleading",
+    pattern:
+      /misleading|partly|partially|half|mixture|missing context|out of context|altered|edited|manipulated|distorted|বিভ্রান্তিকর|আংশিক|বিকৃত|সম্পাদিত|এডিটেড|প্রেক্ষাপটহীন/i,
+  },
+  { label: "satire", pattern: /satire|parody|স্যাটায়ার|ব্যঙ্গ|প্যারোডি/i },
+  {
+    label: "fake",
+    pattern:
+      /false|fake|fabricated|hoax|incorrect|untrue|baseless|scam|অসত্য|মিথ্যা|ভুয়া|ভুয়া|ভুল|বানোয়াট|ভিত্তিহীন|গুজব|প্রতারণা/i,
+  },
+  {
+    label: "fake",
+    pattern: new RegExp(
+      "\\b(not|isn't|is not)\\s+(true|correct|accurate)|inaccurate|" +
+        "(সত্য|সঠিক)\\s*(নয়|নহে|না)".normalize("NFC"),
+      "i"
+    ),
+  },
+  { label: "real", pattern: /true|correct|accurate|সত্য|সঠিক/i },
+];
+
+// -> "fake" | "misleading" | "satire" | "real" | null when unrecognised
+function mapVerdict(rating) {
+  if (!rating) return null;
+  const text = String(rating).normalize("NFC").trim();
+  const rule = VERDICT_RULES.find((r) => r.pattern.test(text));
+  return rule ? rule.label : null;
+}
+
+module.exports = { VERDICT_RULES, mapVerdict };
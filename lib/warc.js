@@ -0,0 +1,219 @@
+/** @format */
+
+// WARC output: with --warc every list and article page a crawl loads
+// successfully is written as a request/response record pair to
+// <out>/warc/<name>-<timestamp>.warc.gz (WARC/1.1, one gzip member per
+// record), so the crawl can be replayed or indexed with standard web
+// archive tools (pywb, warcio, OpenWayback). Records point back at their
+// response with `warc_record_id`. Error responses, "Load More" XHRs and
+// --media image downloads are not recorded.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { version } = require("../package.json");
+
+const WARC_DIR = "warc";
+const WARC_VERSION = "WARC/1.1";
+const CRLF = "\r\n";
+
+// The body is stored decoded, so headers describing the wire encoding no
+// longer hold; Content-Length is set to the stored body
+const DROP_HEADERS = new Set([
+  "content-encoding",
+  "transfer-encoding",
+  "content-length",
+]);
+
+function warcDir(outDir) {
+  return path.join(outDir, WARC_DIR);
+}
+
+const recordId = () => `<urn:uuid:${crypto.randomUUID()}>`;
+
+// WARC-Date: UTC, whole seconds
+const warcDate = (date = new Date()) =>
+  date.toISOString().replace(/\.\d+Z$/, "Z");
+
+// RFC 4648 base32, the customary encoding of WARC SHA-1 digests
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+function base32(buf) {
+  let out = "";
+  let bits = 0;
+  let value = 0;
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out.padEnd(Math.ceil(out.length / 8) * 8, "=");
+}
+
+const sha1Digest = (buf) =>
+  "sha1:" + base32(crypto.createHash("sha1").update(buf).digest());
+
+// Header lines; a value with line breaks (Puppeteer's joined Set-Cookie)
+// becomes one line per value
+function headerLines(headers) {
+  const lines = [];
+  for (const [name, value] of Object.entries(headers || {})) {
+    for (const v of String(value).split("\n")) lines.push(`${name}: ${v}`);
+  }
+  return lines;
+}
+
+function httpRequestBlock({ url, method, headers }) {
+  const { host, pathname, search } = new URL(url);
+  const sent = Object.keys(headers || {}).map((h) => h.toLowerCase());
+  const lines = [
+    `${method} ${pathname}${search} HTTP/1.1`,
+    ...(sent.includes("host") ? [] : [`Host: ${host}`]),
+    ...headerLines(headers),
+  ];
+  return Buffer.from(lines.join(CRLF) + CRLF + CRLF);
+}
+
+function httpResponseBlock({ status, statusText, headers, body }) {
+  const kept = Object.fromEntries(
+    Object.entries(headers || {}).filter(
+      ([h]) => !DROP_HEADERS.has(h.toLowerCase())
+    )
+  );
+  const lines = [
+    `HTTP/1.1 ${status} ${statusText || ""}`.trimEnd(),
+    ...headerLines(kept),
+    `Content-Length: ${body.length}`,
+  ];
+  return Buffer.concat([Buffer.from(lines.join(CRLF) + CRLF + CRLF), body]);
+}
+
+// One record: version line, named fields, a blank line, the block and two
+// CRLFs, gzipped on its own
+function encodeRecord(fields, block) {
+  const head = [
+    WARC_VERSION,
+    ...Object.entries(fields)
+      .filter(([, v]) => v !== null && v !== undefined)
+      .map(([k, v]) => `${k}: ${v}`),
+    `WARC-Block-Digest: ${sha1Digest(block)}`,
+    `Content-Length: ${block.length}`,
+  ].join(CRLF);
+  return zlib.gzipSync(
+    Buffer.concat([
+      Buffer.from(head + CRLF + CRLF),
+      block,
+      Buffer.from(CRLF + CRLF),
+    ])
+  );
+}
+
+/**
+ * Open <dir>/<name>-<timestamp>.warc.gz and write its warcinfo record.
+ * writeExchange() appends the request and response of one fetch and
+ * returns the response's WARC-Record-ID. Records are appended
+ * synchronously, so concurrent pages never interleave.
+ */
+function createWarc({ dir, name, userAgent = null, robots = true }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/\D/g, "").slice(0, 17);
+  const file = path.join(dir, `${name}-${stamp}.warc.gz`);
+  const warcinfoId = recordId();
+
+  const info = [
+    `software: fake-news-scrapper/${version}`,
+    "format: WARC File Format 1.1",
+    "conformsTo: http://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/",
+    `robots: ${robots ? "obey" : "ignore"}`,
+    ...(userAgent ? [`http-header-user-agent: ${userAgent}`] : []),
+  ];
+  fs.writeFileSync(
+    file,
+    encodeRecord(
+      {
+        "WARC-Type": "warcinfo",
+        "WARC-Record-ID": warcinfoId,
+        "WARC-Date": warcDate(),
+        "WARC-Filename": path.basename(file),
+        "Content-Type": "application/warc-fields",
+      },
+      Buffer.from(info.join(CRLF) + CRLF)
+    )
+  );
+
+  // `url` is the address the response came from (after redirects); the
+  // redirect hops themselves are not recorded
+  function writeExchange({
+    url,
+    method = "GET",
+    requestHeaders,
+    status,
+    statusText,
+    headers,
+    body,
+    date = new Date(),
+  }) {
+    const payload = Buffer.isBuffer(body) ? body : Buffer.from(body || "");
+    const responseId = recordId();
+    const common = {
+      "WARC-Date": warcDate(date),
+      "WARC-Target-URI": url,
+      "WARC-Warcinfo-ID": warcinfoId,
+    };
+    const response = encodeRecord(
+      {
+        "WARC-Type": "response",
+        "WARC-Record-ID": responseId,
+        ...common,
+        "WARC-Payload-Digest": sha1Digest(payload),
+        "Content-Type": "application/http;msgtype=response",
+      },
+      httpResponseBlock({ status, statusText, headers, body: payload })
+    );
+    const request = encodeRecord(
+      {
+        "WARC-Type": "request",
+        "WARC-Record-ID": recordId(),
+        ...common,
+        "WARC-Concurrent-To": responseId,
+        "Content-Type": "application/http;msgtype=request",
+      },
+      httpRequestBlock({ url, method, headers: requestHeaders })
+    );
+    fs.appendFileSync(file, Buffer.concat([request, response]));
+    return responseId;
+  }
+
+  return { file, warcinfoId, writeExchange };
+}
+
+/**
+ * Parse a .warc.gz back into [{ fields, block }] (block as a Buffer). For
+ * tests and quick checks; real tooling reads the file directly.
+ */
+function readWarc(file) {
+  const data = zlib.gunzipSync(fs.readFileSync(file));
+  const records = [];
+  let pos = 0;
+  while (pos < data.length) {
+    const end = data.indexOf(CRLF + CRLF, pos);
+    if (end < 0) break;
+    const [, ...lines] = data.toString("utf8", pos, end).split(CRLF);
+    const fields = {};
+    for (const line of lines) {
+      const i = line.indexOf(":");
+      fields[line.slice(0, i)] = line.slice(i + 1).trim();
+    }
+    const start = end + 4;
+    const length = Number(fields["Content-Length"]);
+    records.push({ fields, block: data.subarray(start, start + length) });
+    pos = start + length + 4;
+  }
+  return records;
+}
+
+module.exports = { WARC_DIR, warcDir, createWarc, readWarc, base32 };
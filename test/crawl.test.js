@@ -0,0 +1,461 @@
+/** @format */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { serveFixtures } = require("./helpers/fixtures");
+const { runAdapter, retryFailed, reextract } = require("../lib/crawl");
+const { COMMANDS } = require("../cli");
+const { archiveDir, createArchive } = require("../lib/archive");
+const { warcDir, readWarc, base32 } = require("../lib/warc");
+const { hashDistance } = require("../lib/media");
+const jamuna = require("../adapters/jamuna");
+
+const routes = {
+  "/national?page=1": "jamuna/list.html",
+  "/news/612345": "jamuna/news_612345.html",
+  "/news/612340": "jamuna/news_612340.html",
+  "/national?page=2": "jamuna/list_2.html",
+  "/national?page=3": "jamuna/list_3.html",
+  // older stories: the same markup under other ids
+  "/news/612330": "jamuna/news_612345.html",
+  "/news/612320": "jamuna/news_612340.html",
+  "/news/612310": "jamuna/news_612340.html",
+  "/media/meeting.jpg": "jamuna/meeting.jpg",
+  "/media/meeting_small.png": "jamuna/meeting_small.png",
+};
+const quick = { lastPage: 1, linkDelayMs: 0, jitterMs: 0, retryDelayMs: 1 };
+
+let server;
+let outDir;
+const liveFetch = globalThis.fetch;
+before(async () => {
+  server = await serveFixtures(routes);
+  // Absolute links in the fixtures point at the live site: send them here
+  globalThis.fetch = (url, init) => liveFetch(server.local(String(url)), init);
+  outDir = fs.mkdtempSync(path.join(os.tmpdir(), "crawl-test-"));
+});
+after(async () => {
+  globalThis.fetch = liveFetch;
+  fs.rmSync(outDir, { recursive: true, force: true });
+  await server.close();
+});
+
+function readJsonl(file) {
+  return fs
+    .readFileSync(file, "utf8")
+    .trim()
+    .split("\n")
+    .map((l) => JSON.parse(l));
+}
+
+test("http backend: a paginated crawl runs without Chromium", async () => {
+  const { saved, health } = await runAdapter(jamuna, { outDir, ...quick });
+  assert.equal(saved, 2);
+  assert.deepEqual(health.failures, []);
+
+  const lines = readJsonl(path.join(outDir, "jamuna_news.jsonl"));
+  assert.deepEqual(lines.map((r) => r.article_id).sort(), ["612340", "612345"]);
+});
+
+test("csv and parquet outputs: a rerun writes no article twice", async () => {
+  for (const sinks of ["csv", "parquet"]) {
+    const dir = path.join(outDir, `rerun-${sinks}`);
+    const first = await runAdapter(jamuna, { outDir: dir, ...quick, sinks });
+    assert.equal(first.saved, 2);
+    const again = await runAdapter(jamuna, { outDir: dir, ...quick, sinks });
+    assert.equal(again.saved, 0, sinks);
+  }
+  const csv = fs.readFileSync(path.join(outDir, "rerun-csv/jamuna_news.csv"));
+  assert.equal(String(csv).trim().split("\r\n").length, 3);
+});
+
+// jamuna with the list pages it is asked for written down in `asked`
+function listingSpy(crashAt = null) {
+  const asked = [];
+  const adapter = {
+    ...jamuna,
+    listUrl(n) {
+      if (n === crashAt) throw new Error("killed");
+      asked.push(n);
+      return jamuna.listUrl(n);
+    },
+  };
+  return { adapter, asked };
+}
+
+test("resume: an interrupted crawl picks up at its checkpointed page", async () => {
+  const dir = path.join(outDir, "resume");
+  const settings = { outDir: dir, ...quick, lastPage: 3 };
+  const crashed = listingSpy(3);
+  await assert.rejects(runAdapter(crashed.adapter, settings), /killed/);
+  assert.deepEqual(crashed.asked, [1, 2]);
+
+  const resumed = listingSpy();
+  const { saved } = await runAdapter(resumed.adapter, {
+    ...settings,
+    resume: true,
+  });
+  // page 2 is read again (a crash mid-page leaves it unfinished), page 1 not
+  assert.deepEqual(resumed.asked, [2, 3]);
+  assert.equal(saved, 1);
+  const ids = readJsonl(path.join(dir, "jamuna_news.jsonl")).map(
+    (r) => r.article_id
+  );
+  assert.deepEqual(ids.sort(), [
+    "612310",
+    "612320",
+    "612330",
+    "612340",
+    "612345",
+  ]);
+});
+
+test("incremental: a rerun stops at known articles, writing none twice", async () => {
+  const dir = path.join(outDir, "incremental");
+  // an earlier crawl got the older pages
+  await runAdapter(jamuna, {
+    outDir: dir,
+    ...quick,
+    firstPage: 2,
+    lastPage: 3,
+  });
+
+  const rerun = listingSpy();
+  const { saved } = await runAdapter(rerun.adapter, {
+    outDir: dir,
+    ...quick,
+    lastPage: 3,
+    incremental: true,
+    knownStreak: 2,
+  });
+  assert.equal(saved, 2);
+  // page 2 is all known: caught up, page 3 is never read
+  assert.deepEqual(rerun.asked, [1, 2]);
+  const ids = readJsonl(path.join(dir, "jamuna_news.jsonl")).map(
+    (r) => r.article_id
+  );
+  assert.equal(new Set(ids).size, ids.length);
+  assert.equal(ids.length, 5);
+});
+
+test("incremental: a streak of known articles carries across list pages", async () => {
+  const dir = path.join(outDir, "incremental-span");
+  await runAdapter(jamuna, {
+    outDir: dir,
+    ...quick,
+    firstPage: 2,
+    lastPage: 3,
+  });
+
+  // two known ids end page 2, the third starts page 3
+  const rerun = listingSpy();
+  const { saved } = await runAdapter(rerun.adapter, {
+    outDir: dir,
+    ...quick,
+    lastPage: 4,
+    incremental: true,
+    knownStreak: 3,
+  });
+  assert.equal(saved, 2);
+  assert.deepEqual(rerun.asked, [1, 2, 3]);
+});
+
+test("health: a selector the site outgrew fails the run", async () => {
+  // 12 articles whose date is no longer where the adapter looks for it
+  const redesign = { "/national?page=1": "jamuna/list_redesign.html" };
+  for (let i = 1; i <= 12; i++) {
+    redesign[`/news/6124${String(i).padStart(2, "0")}`] =
+      "jamuna/news_redesign.html";
+  }
+  const before = { ...routes };
+  Object.assign(routes, redesign);
+  const dir = (name) => path.join(outDir, `health-${name}`);
+  try {
+    const broken = await runAdapter(jamuna, {
+      outDir: dir("broken"),
+      ...quick,
+    });
+    assert.equal(broken.health.counts.processed, 12);
+    assert.deepEqual(broken.health.failures, ["missingDate 100.0% > 20.0%"]);
+
+    const tolerated = await runAdapter(jamuna, {
+      outDir: dir("tolerated"),
+      ...quick,
+      health: { missingDate: 1 },
+    });
+    assert.deepEqual(tolerated.health.failures, []);
+
+    // the CLI turns the report into exit code 2, unless the flag allows it
+    const cli = [
+      "jamuna-tv",
+      "--last-page",
+      "1",
+      "--link-delay",
+      "0",
+      "--jitter",
+      "0",
+    ];
+    try {
+      await COMMANDS.scrape([...cli, "--out", dir("cli")]);
+      assert.equal(process.exitCode, 2);
+      process.exitCode = undefined;
+      await COMMANDS.scrape([
+        ...cli,
+        "--out",
+        dir("cli-tolerated"),
+        "--max-missing-date",
+        "1",
+      ]);
+      assert.equal(process.exitCode, undefined);
+    } finally {
+      process.exitCode = undefined;
+    }
+  } finally {
+    for (const url of Object.keys(redesign)) delete routes[url];
+    Object.assign(routes, before);
+  }
+});
+
+test("http backend: unknown backends are refused", async () => {
+  await assert.rejects(
+    runAdapter(jamuna, { outDir, backend: "curl" }),
+    /Unknown backend: curl/
+  );
+});
+
+test("dead letters: a failed article is parked, retry-failed picks it up", async () => {
+  const dir = path.join(outDir, "dead-letters");
+  const failedFile = path.join(dir, "failed_jamuna_news.jsonl");
+  const page = routes["/news/612340"];
+  delete routes["/news/612340"];
+
+  const first = await runAdapter(jamuna, { outDir: dir, ...quick });
+  assert.equal(first.saved, 1);
+  assert.equal(first.failed, 1);
+  const [entry] = readJsonl(failedFile);
+  assert.equal(entry.type, "article");
+  assert.equal(entry.id, "612340");
+  assert.equal(entry.kind, "http");
+  assert.equal(entry.status, 404);
+  assert.equal(entry.attempts, 1); // a 404 is not retried
+
+  routes["/news/612340"] = page;
+  const healthFile = path.join(dir, "jamuna_news.health.json");
+  const scrapeHealth = fs.readFileSync(healthFile, "utf8");
+  const retry = await retryFailed(jamuna, { outDir: dir, ...quick });
+  assert.equal(retry.saved, 1);
+  assert.equal(retry.failed, 0);
+  // no list pages were crawled, and that is not a failure; the scrape's
+  // report stays as it was
+  assert.deepEqual(retry.health.failures, []);
+  assert.equal(fs.readFileSync(healthFile, "utf8"), scrapeHealth);
+  assert.equal(fs.existsSync(failedFile), false);
+  assert.equal(fs.existsSync(failedFile + ".retrying"), false);
+  const ids = readJsonl(path.join(dir, "jamuna_news.jsonl")).map(
+    (r) => r.article_id
+  );
+  assert.deepEqual(ids.sort(), ["612340", "612345"]);
+});
+
+test("dead letters: entries --max-articles cut off stay parked", async () => {
+  const dir = path.join(outDir, "dead-letters-max");
+  const failedFile = path.join(dir, "failed_jamuna_news.jsonl");
+  const pages = {
+    "/news/612345": routes["/news/612345"],
+    "/news/612340": routes["/news/612340"],
+  };
+  for (const p of Object.keys(pages)) delete routes[p];
+  try {
+    const first = await runAdapter(jamuna, { outDir: dir, ...quick });
+    assert.equal(first.failed, 2);
+  } finally {
+    Object.assign(routes, pages);
+  }
+
+  const retry = await retryFailed(jamuna, {
+    outDir: dir,
+    ...quick,
+    maxArticles: 1,
+  });
+  assert.equal(retry.saved, 1);
+  const [saved] = readJsonl(path.join(dir, "jamuna_news.jsonl"));
+  const left = readJsonl(failedFile);
+  assert.equal(left.length, 1);
+  assert.notEqual(left[0].id, saved.article_id);
+  assert.equal(fs.existsSync(failedFile + ".retrying"), false);
+
+  const rest = await retryFailed(jamuna, { outDir: dir, ...quick });
+  assert.equal(rest.saved, 1);
+  assert.equal(fs.existsSync(failedFile), false);
+});
+
+test("robots.txt: disallowed articles are skipped, not dead-lettered", async () => {
+  const dir = path.join(outDir, "robots");
+  routes["/robots.txt"] = "jamuna/robots.txt";
+  try {
+    const { saved, failed } = await runAdapter(jamuna, {
+      outDir: dir,
+      ...quick,
+    });
+    assert.equal(saved, 1);
+    assert.equal(failed, 0);
+    assert.equal(
+      fs.existsSync(path.join(dir, "failed_jamuna_news.jsonl")),
+      false
+    );
+  } finally {
+    delete routes["/robots.txt"];
+  }
+});
+
+test("archive: pages are kept, reextract rebuilds records offline", async () => {
+  const dir = path.join(outDir, "archive");
+  await runAdapter(jamuna, { outDir: dir, ...quick, archive: true });
+  const archive = createArchive(archiveDir(dir));
+  const lists = archive.latest({ type: "list" });
+  const articles = archive.latest({ adapter: jamuna.name, type: "article" });
+  assert.equal(lists.length, 1);
+  assert.equal(articles.length, 2);
+  assert.equal(articles[0].status, 200);
+  assert.match(articles[0].file, /^[0-9a-f]{2}\/[0-9a-f]{64}\.html\.gz$/);
+  assert.match(archive.read(articles[0]), /<html/i);
+
+  const crawled = readJsonl(path.join(dir, "jamuna_news.jsonl"));
+  globalThis.fetch = () => Promise.reject(new Error("offline"));
+  try {
+    const { saved, health } = await reextract(jamuna, { outDir: dir });
+    assert.equal(saved, 2);
+    assert.deepEqual(health.failures, []);
+    assert.equal(
+      fs.existsSync(path.join(dir, "jamuna_news_reextracted.health.json")),
+      false
+    );
+    // A second run replaces the output instead of appending to it
+    await reextract(jamuna, { outDir: dir });
+  } finally {
+    globalThis.fetch = (url, init) =>
+      liveFetch(server.local(String(url)), init);
+  }
+  const again = readJsonl(path.join(dir, "jamuna_news_reextracted.jsonl"));
+  const strip = ({ scraped_at, ...r }) => r;
+  const byId = (a, b) => (a.article_id < b.article_id ? -1 : 1);
+  assert.deepEqual(again.sort(byId).map(strip), crawled.sort(byId).map(strip));
+  await assert.rejects(
+    reextract(jamuna, { outDir: dir, outputName: "jamuna_news" }),
+    /pick a --name/
+  );
+});
+
+test("archive: a re-fetched page keeps its older copy", () => {
+  const archive = createArchive(archiveDir(path.join(outDir, "refetch")));
+  const page = {
+    url: "https://jamuna.tv/news/1",
+    type: "article",
+    adapter: "jamuna-tv",
+  };
+  const old = archive.save({ ...page, html: "<html>old</html>" });
+  const now = archive.save({ ...page, html: "<html>new</html>" });
+  const same = archive.save({ ...page, html: "<html>new</html>" });
+  assert.notEqual(old.file, now.file);
+  assert.equal(same.file, now.file);
+  assert.equal(old.key, now.key);
+  // every manifest line still reads back the HTML it was saved with
+  assert.equal(archive.read(old), "<html>old</html>");
+  assert.deepEqual(archive.latest(), [same]);
+  assert.equal(archive.read(same), "<html>new</html>");
+});
+
+test("warc: every loaded page is a request/response pair records point to", async () => {
+  const dir = path.join(outDir, "warc");
+  await runAdapter(jamuna, {
+    outDir: dir,
+    ...quick,
+    warc: true,
+    archive: true,
+  });
+  const [file] = fs.readdirSync(warcDir(dir));
+  assert.match(file, /^jamuna_news-\d{17}\.warc\.gz$/);
+  const records = readWarc(path.join(warcDir(dir), file));
+  assert.deepEqual(
+    records.map((r) => r.fields["WARC-Type"]),
+    ["warcinfo", ...Array(3).fill(["request", "response"]).flat()]
+  );
+  const [info] = records;
+  assert.match(String(info.block), /^robots: obey\r$/m);
+
+  const responses = records.filter((r) => r.fields["WARC-Type"] === "response");
+  const requests = records.filter((r) => r.fields["WARC-Type"] === "request");
+  for (const [i, res] of responses.entries()) {
+    const id = res.fields["WARC-Record-ID"];
+    assert.match(id, /^<urn:uuid:[0-9a-f-]{36}>$/);
+    assert.equal(requests[i].fields["WARC-Concurrent-To"], id);
+    assert.equal(res.fields["WARC-Warcinfo-ID"], info.fields["WARC-Record-ID"]);
+    assert.match(res.fields["WARC-Date"], /^\d{4}-\d\d-\d\dT[\d:]{8}Z$/);
+    assert.match(String(res.block), /^HTTP\/1\.1 200 OK\r\n/);
+    assert.match(String(requests[i].block), /^GET \/\S+ HTTP\/1\.1\r\nHost: /);
+  }
+
+  const saved = readJsonl(path.join(dir, "jamuna_news.jsonl"));
+  const byId = new Map(responses.map((r) => [r.fields["WARC-Record-ID"], r]));
+  for (const rec of saved) {
+    const res = byId.get(rec.warc_record_id);
+    assert.equal(res.fields["WARC-Target-URI"], server.local(rec.source));
+    // The stored payload is the page and its digest checks out
+    const body = res.block.subarray(res.block.indexOf("\r\n\r\n") + 4);
+    const digest = require("crypto").createHash("sha1").update(body).digest();
+    assert.equal(res.fields["WARC-Payload-Digest"], "sha1:" + base32(digest));
+    assert.match(String(body), /<html/i);
+  }
+
+  // reextract keeps the pointer, through the archive manifest
+  await reextract(jamuna, { outDir: dir });
+  const again = readJsonl(path.join(dir, "jamuna_news_reextracted.jsonl"));
+  assert.deepEqual(
+    again.map((r) => r.warc_record_id).sort(),
+    saved.map((r) => r.warc_record_id).sort()
+  );
+});
+
+test("warc: base32 digests match RFC 4648", () => {
+  assert.equal(base32(Buffer.from("foobar")), "MZXW6YTBOI======");
+  assert.equal(base32(Buffer.from("f")), "MY======");
+});
+
+test("media: images are stored once by content, with perceptual hashes", async () => {
+  const dir = path.join(outDir, "media");
+  await runAdapter(jamuna, { outDir: dir, ...quick, media: true });
+  const saved = readJsonl(path.join(dir, "jamuna_news.jsonl"));
+  const { images } = saved.find((r) => r.article_id === "612345");
+  assert.deepEqual(
+    images.map((i) => [i.source, i.format || i.error.split(" for ")[0]]),
+    [
+      ["og:image", "jpeg"],
+      ["body", "png"],
+      ["body", "HTTP 404"],
+    ]
+  );
+  const [og, small] = images;
+  assert.match(og.file, /^media\/[0-9a-f]{2}\/[0-9a-f]{64}\.jpg$/);
+  assert.equal(og.sha256, og.file.slice(9, 73));
+  assert.ok(fs.existsSync(path.join(dir, og.file)));
+  assert.deepEqual([og.width, og.height, small.width], [96, 64, 48]);
+  // the same picture, half the size and re-encoded
+  assert.ok(hashDistance(og.phash, small.phash) <= 4);
+  assert.ok(hashDistance(og.dhash, small.dhash) <= 4);
+  assert.equal(saved.find((r) => r.article_id === "612340").images, undefined);
+
+  // A second run takes known URLs from the store instead of the network
+  fs.rmSync(path.join(dir, "jamuna_news.jsonl"));
+  fs.rmSync(path.join(dir, "jamuna_news.csv"));
+  delete routes["/media/meeting.jpg"];
+  try {
+    await runAdapter(jamuna, { outDir: dir, ...quick, media: true });
+  } finally {
+    routes["/media/meeting.jpg"] = "jamuna/meeting.jpg";
+  }
+  const again = readJsonl(path.join(dir, "jamuna_news.jsonl"));
+  assert.deepEqual(again.find((r) => r.article_id === "612345").images[0], og);
+});
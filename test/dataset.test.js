@@ -0,0 +1,228 @@
+/** @format */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseString } = require("fast-csv");
+const {
+  DATASET_FIELDS,
+  toDatasetRow,
+  buildDataset,
+} = require("../lib/dataset");
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "dataset-test-"));
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A distinct Bangla paragraph per n, so only deliberate copies cluster
+const WORDS = (
+  "আজ কাল পরশু নদী পাহাড় শহর গ্রাম মাঠ বাজার স্কুল রাস্তা সেতু " +
+  "মানুষ সরকার দাবি ছবি ভিডিও খবর পুলিশ বৃষ্টি বন্যা ধান মাছ হাসপাতাল"
+).split(" ");
+const text = (n) => {
+  let x = n + 1;
+  const out = [];
+  for (let i = 0; i < 40; i++) {
+    x = (x * 1103515245 + 12345) % 2147483648;
+    out.push(WORDS[(x >>> 16) % WORDS.length]);
+  }
+  return out.join(" ") + "।";
+};
+
+const news = (i) => ({
+  article_id: `n${i}`,
+  publisher: "prothomalo",
+  source: `https://www.prothomalo.com/n${i}`,
+  category: "news",
+  published_at: `2024-01-${String(i + 1).padStart(2, "0")}T00:00:00.000Z`,
+  headline: `খবর ${i}`,
+  content: text(i),
+  content_raw: text(i),
+  content_clean: text(i),
+  label: 1,
+  label_name: "real",
+});
+
+const readJsonl = (file) =>
+  fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((l) => JSON.parse(l));
+
+test("dataset: legacy rows are mapped onto the schema", () => {
+  const { row } = toDatasetRow({
+    article_id: "3851",
+    publisher: "jachai.org",
+    source: "https://www.jachai.org/fact-checks/post-3851",
+    category: "politics",
+    published_at: "2023-08-22T14:38:19.000Z",
+    headline: " শিরোনাম ",
+    content: "প্রথম লাইন\n\n\n  দ্বিতীয় লাইন",
+    label: "0",
+  });
+  assert.deepEqual(row, {
+    id: "jachai:3851",
+    publisher: "jachai",
+    article_id: "3851",
+    source: "https://www.jachai.org/fact-checks/post-3851",
+    category: "fact-check",
+    topic: "politics",
+    published_at: "2023-08-22T14:38:19.000Z",
+    headline: "শিরোনাম",
+    content: "প্রথম লাইন\nদ্বিতীয় লাইন",
+    label: 0,
+    label_name: "fake",
+    cluster_id: null,
+  });
+  assert.equal(
+    toDatasetRow({ ...row, label_name: null, category: "news", label: 0 })
+      .dropped,
+    "no label"
+  );
+});
+
+test("dataset: a legacy fact-check's binary label is not trusted", () => {
+  const legacy = {
+    article_id: "old-video-anti-discrimination-movement-goes-viral",
+    publisher: "fact-watch",
+    source:
+      "https://www.fact-watch.org/old-video-anti-discrimination-movement-goes-viral/",
+    published_at: "2024-09-01T00:00:00.000Z",
+    headline: "পুরোনো ভিডিও",
+    content: "ভিডিওটি পুরোনো।",
+    label: "1",
+  };
+  assert.equal(toDatasetRow(legacy).row.label_name, "fake");
+  assert.equal(toDatasetRow(legacy).row.label, 0);
+  // the checker's own rating still decides
+  assert.equal(toDatasetRow({ ...legacy, verdict: "True" }).row.label, 1);
+  // news keeps its binary label
+  const news = {
+    ...legacy,
+    publisher: "prothomalo",
+    source: "https://www.prothomalo.com/x",
+  };
+  assert.equal(toDatasetRow(news).row.label_name, "real");
+});
+
+test("dataset: merges dumps, drops duplicates, splits newest to test", async () => {
+  const data = path.join(dir, "data");
+  fs.mkdirSync(data);
+  const real = Array.from({ length: 10 }, (_, i) => news(i));
+  fs.writeFileSync(
+    path.join(data, "prothomalo.jsonl"),
+    real.map((r) => JSON.stringify(r) + "\n").join("")
+  );
+  // Same rows in CSV beside the JSONL: not read twice
+  fs.writeFileSync(path.join(data, "prothomalo.csv"), "article_id\r\nn0\r\n");
+  // An old export: BOM, domain as publisher, no label_name, one copy of a
+  // prothomalo story
+  const legacy = [
+    "﻿article_id,publisher,source,category,published_at,headline,content,label",
+    ...Array.from(
+      { length: 10 },
+      (_, i) =>
+        `${i},jachai.org,https://www.jachai.org/post-${i},health,` +
+        `2023-0${(i % 9) + 1}-01T00:00:00.000Z,দাবি ${i},"${text(20 + i)}",0`
+    ),
+    `99,jachai.org,https://www.jachai.org/post-99,health,,,"${text(3)}",0`,
+  ];
+  fs.writeFileSync(path.join(data, "jachai_import.csv"), legacy.join("\n"));
+
+  const out = path.join(dir, "dataset");
+  const manifest = await buildDataset({ dir: data, datasetDir: out, hf: true });
+
+  assert.deepEqual(
+    manifest.inputs.map((i) => i.file),
+    ["prothomalo.jsonl", "jachai_import.csv"]
+  );
+  assert.deepEqual(manifest.dropped, { "near duplicate": 1 });
+  assert.equal(manifest.label_conflicts, 1);
+  assert.equal(manifest.totals.records, 20);
+  assert.deepEqual(manifest.totals.by_source, { prothomalo: 10, jachai: 10 });
+  for (const split of ["validation", "test"]) {
+    assert.deepEqual(manifest.splits[split].by_class, { 0: 1, 1: 1 });
+  }
+
+  // Newest of each source and label in test, oldest in train
+  const test = readJsonl(path.join(out, "test.jsonl"));
+  const train = readJsonl(path.join(out, "train.jsonl"));
+  assert.deepEqual(test.map((r) => r.id).sort(), ["jachai:8", "prothomalo:n9"]);
+  assert.ok(train.some((r) => r.id === "prothomalo:n0"));
+  assert.ok(train.every((r) => r.cluster_id));
+
+  const csv = fs.readFileSync(path.join(out, "train.csv"), "utf8");
+  assert.ok(csv.startsWith(DATASET_FIELDS.join(",") + "\r\n"));
+  const rows = [];
+  await new Promise((resolve, reject) =>
+    parseString(csv, { headers: true })
+      .on("data", (r) => rows.push(r))
+      .on("error", reject)
+      .on("end", resolve)
+  );
+  assert.equal(rows.length, train.length);
+
+  const card = fs.readFileSync(path.join(out, "README.md"), "utf8");
+  assert.match(card, /- split: validation\n {4}path: validation\.jsonl/);
+  assert.match(card, /'1': real/);
+});
+
+test("dataset: re-extracted rows replace the crawled ones", async () => {
+  const data = path.join(dir, "reextracted");
+  fs.mkdirSync(data);
+  const write = (file, rows) =>
+    fs.writeFileSync(
+      path.join(data, file),
+      rows.map((r) => JSON.stringify(r) + "\n").join("")
+    );
+  write("prothomalo.jsonl", [news(0), news(1)]);
+  write("prothomalo_reextracted.jsonl", [{ ...news(0), headline: "নতুন" }]);
+
+  const manifest = await buildDataset({
+    dir: data,
+    datasetDir: path.join(dir, "reextracted-out"),
+  });
+  assert.deepEqual(
+    manifest.inputs.map((i) => [i.file, i.kept]),
+    [
+      ["prothomalo_reextracted.jsonl", 1],
+      ["prothomalo.jsonl", 1],
+    ]
+  );
+  assert.equal(manifest.totals.records, 2);
+  const rows = ["train", "validation", "test"].flatMap((split) =>
+    readJsonl(path.join(dir, "reextracted-out", `${split}.jsonl`))
+  );
+  assert.equal(rows.find((r) => r.id === "prothomalo:n0").headline, "নতুন");
+});
+
+test("dataset: downsampling evens out the classes", async () => {
+  const data = path.join(dir, "balance");
+  fs.mkdirSync(data);
+  const rows = [
+    ...Array.from({ length: 6 }, (_, i) => news(i)),
+    ...Array.from({ length: 2 }, (_, i) => ({
+      ...news(10 + i),
+      publisher: "jachai",
+      category: "fact-check",
+      label: 0,
+      label_name: "fake",
+    })),
+  ];
+  fs.writeFileSync(
+    path.join(data, "mixed.jsonl"),
+    rows.map((r) => JSON.stringify(r) + "\n").join("")
+  );
+  const manifest = await buildDataset({ dir: data, balance: "downsample" });
+  assert.deepEqual(manifest.totals.by_class, { 0: 2, 1: 2 });
+  assert.equal(manifest.dropped.balance, 4);
+  await assert.rejects(
+    buildDataset({ dir: data, splits: "0.5,0.5" }),
+    /splits/
+  );
+});
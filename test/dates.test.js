@@ -0,0 +1,51 @@
+/** @format */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeDate,
+  toAsciiDigits,
+  toBanglaDigits,
+} = require("../lib/dates");
+
+const NOW = Date.UTC(2025, 7, 30, 12, 0, 0);
+
+const CASES = [
+  // no zone: Dhaka time
+  ["2025-08-30", "2025-08-29T18:00:00.000Z"],
+  ["2025-08-30 14:05", "2025-08-30T08:05:00.000Z"],
+  ["2025-08-30T10:00:00.000", "2025-08-30T04:00:00.000Z"],
+  ["2025-08-30T10:00:00.25", "2025-08-30T04:00:00.250Z"],
+  ["30/08/2025", "2025-08-29T18:00:00.000Z"],
+  ["August 30, 2025 10:30 pm", "2025-08-30T16:30:00.000Z"],
+  ["৩০ আগস্ট ২০২৫, ১০:৩০", "2025-08-30T04:30:00.000Z"],
+  ["৩০ আগস্ট ২০২৫ রাত ১০:৩০", "2025-08-30T16:30:00.000Z"],
+  // explicit zones
+  ["2025-08-30T10:00:00Z", "2025-08-30T10:00:00.000Z"],
+  ["2025-08-30T10:00:00.500Z", "2025-08-30T10:00:00.500Z"],
+  ["2025-08-30T10:00:00+06:00", "2025-08-30T04:00:00.000Z"],
+  ["2025-08-30T10:00:00-0400", "2025-08-30T14:00:00.000Z"],
+  ["Sat, 30 Aug 2025 10:00:00 GMT", "2025-08-30T10:00:00.000Z"],
+  ["Sat, 30 Aug 2025 10:00:00 +0530", "2025-08-30T04:30:00.000Z"],
+  ["30 August 2025 10:00 am UTC", "2025-08-30T10:00:00.000Z"],
+  ["30/08/2025 GMT+1", "2025-08-29T23:00:00.000Z"],
+  // relative to NOW
+  ["২ ঘণ্টা আগে", "2025-08-30T10:00:00.000Z"],
+  ["3 days ago", "2025-08-27T12:00:00.000Z"],
+  ["গতকাল", "2025-08-29T12:00:00.000Z"],
+  // not dates
+  ["", null],
+  [null, null],
+  ["শেয়ার করুন", null],
+];
+
+test("dates: published dates normalize to UTC", () => {
+  for (const [raw, iso] of CASES) {
+    assert.equal(normalizeDate(raw, { now: NOW }), iso, `${raw}`);
+  }
+});
+
+test("dates: Bangla and ASCII digits convert both ways", () => {
+  assert.equal(toAsciiDigits("৩০ আগস্ট ২০২৫"), "30 আগস্ট 2025");
+  assert.equal(toBanglaDigits("2025-08-30"), "২০২৫-০৮-৩০");
+});
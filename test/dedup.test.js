@@ -0,0 +1,129 @@
+/** @format */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  fingerprintText,
+  fingerprint,
+  estimateJaccard,
+  hamming,
+  dedupeDataset,
+} = require("../lib/dedup");
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "dedup-test-"));
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const STORY =
+  "সামাজিক যোগাযোগমাধ্যমে ছড়িয়ে পড়া একটি ভিডিওতে দাবি করা হচ্ছে যে " +
+  "রাজধানীর একটি সেতু ২০২৩ সালের বন্যায় ভেঙে পড়েছে। অনুসন্ধানে দেখা যায় " +
+  "ভিডিওটি আসলে অন্য দেশের এবং কয়েক বছর আগের। স্থানীয় প্রশাসনও জানিয়েছে " +
+  "সেতুটি অক্ষত আছে এবং যান চলাচল স্বাভাবিক রয়েছে।";
+const OTHER =
+  "প্রধানমন্ত্রীর নামে একটি ভুয়া বিবৃতি ফেসবুকে ঘুরছে যেখানে বলা হয়েছে " +
+  "সব স্কুল এক মাস বন্ধ থাকবে। শিক্ষা মন্ত্রণালয় এমন কোনো সিদ্ধান্ত " +
+  "নেয়নি বলে নিশ্চিত করেছে এবং শিক্ষার্থীদের গুজবে কান না দিতে বলেছে।";
+
+const record = (publisher, id, content, extra = {}) => ({
+  article_id: id,
+  publisher,
+  source: `https://${publisher}.test/${id}`,
+  published_at: "2023-08-22T08:38:19.000Z",
+  headline: "",
+  content,
+  label: 0,
+  label_name: "fake",
+  ...extra,
+});
+
+const writeJsonl = (name, records) =>
+  fs.writeFileSync(
+    path.join(dir, name),
+    records.map((r) => JSON.stringify(r) + "\n").join(""),
+    "utf8"
+  );
+
+const readJsonl = (name) =>
+  fs
+    .readFileSync(path.join(dir, name), "utf8")
+    .trim()
+    .split("\n")
+    .map((l) => JSON.parse(l));
+
+test("dedup: punctuation, digits and joiners do not change the text", () => {
+  assert.equal(
+    fingerprintText("সেতু ২০২৩ সালে,   ভেঙে পড়েছে।"),
+    fingerprintText("সেতু 2023 সালে ভেঙে\u200c পড়েছে!")
+  );
+});
+
+test("dedup: a lightly edited copy is close, a different story is not", () => {
+  const a = fingerprint({ content: STORY });
+  const edited = fingerprint({
+    content: STORY.replace("কয়েক বছর আগের", "বেশ কয়েক বছর আগের"),
+  });
+  const other = fingerprint({ content: OTHER });
+  assert.ok(estimateJaccard(a.minhash, edited.minhash) >= 0.7);
+  assert.ok(estimateJaccard(a.minhash, other.minhash) < 0.3);
+  assert.ok(hamming(a.simhash, other.simhash) > 3);
+});
+
+test("dedup: clusters exact and near copies across publishers", async () => {
+  writeJsonl("jachai.jsonl", [
+    record("jachai", "a1", STORY, { published_at: "2023-08-20T00:00:00Z" }),
+    record("jachai", "a2", OTHER),
+  ]);
+  writeJsonl("factwatch.jsonl", [
+    record("factwatch", "b1", STORY.replace("ভিডিওতে", "ভিডিওতে,")),
+  ]);
+  writeJsonl("rumorscanner.jsonl", [
+    record(
+      "rumorscanner",
+      "c1",
+      STORY.replace("কয়েক বছর আগের", "বেশ কয়েক বছর আগের"),
+      { label: 1, label_name: "real" }
+    ),
+  ]);
+  writeJsonl("jachai.rejected.jsonl", [record("jachai", "zz", STORY)]);
+
+  const result = await dedupeDataset({ dir, merge: true });
+  assert.equal(result.records, 4);
+  assert.equal(result.clusters, 2);
+  assert.equal(result.conflicts, 1);
+
+  const index = readJsonl("dedup_index.jsonl");
+  const byKey = Object.fromEntries(
+    index.map((e) => [`${e.publisher}:${e.article_id}`, e])
+  );
+  const story = byKey["jachai:a1"].cluster_id;
+  assert.equal(byKey["factwatch:b1"].cluster_id, story);
+  assert.equal(byKey["rumorscanner:c1"].cluster_id, story);
+  assert.notEqual(byKey["jachai:a2"].cluster_id, story);
+  assert.equal(byKey["jachai:a1"].duplicate_of, null);
+  assert.equal(byKey["factwatch:b1"].duplicate_of, "jachai:a1");
+  assert.equal(byKey["factwatch:b1"].similarity, 1);
+  assert.equal(byKey["rumorscanner:c1"].label_conflict, true);
+
+  // The earliest copy represents the cluster and lists the others
+  const merged = readJsonl("deduped.jsonl");
+  assert.equal(merged.length, 2);
+  const rep = merged.find((r) => r.article_id === "a1");
+  assert.equal(rep.cluster_id, story);
+  assert.deepEqual(rep.duplicates.sort(), [
+    "https://factwatch.test/b1",
+    "https://rumorscanner.test/c1",
+  ]);
+
+  // Same input, same ids; dedup's own output is not read back
+  await dedupeDataset({ dir, merge: true });
+  const again = readJsonl("dedup_index.jsonl");
+  assert.deepEqual(
+    again.map((e) => e.cluster_id).sort(),
+    index.map((e) => e.cluster_id).sort()
+  );
+});
@@ -0,0 +1,137 @@
+/** @format */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  serveFixtures,
+  scrapeFixture,
+  schemaErrors,
+} = require("./helpers/fixtures");
+const jokes = require("../adapters/earki_jokes");
+const articles = require("../adapters/earki_articles");
+const satire = require("../adapters/earki_satire");
+
+let server;
+before(async () => {
+  server = await serveFixtures({
+    "/jokes": "earki/jokes.html",
+    "/jokes/joke/11081/%E0%A6%95%E0%A7%81%E0%A6%B8%E0%A7%8D%E0%A6%A4%E0%A6%BF":
+      "earki/joke_11081.html",
+    "/jokes/joke/9870/%E0%A6%B6%E0%A7%82%E0%A6%A8%E0%A7%8D%E0%A6%AF":
+      "earki/joke_9870.html",
+    "/jokes/article/10872/%E0%A6%B9%E0%A6%BE%E0%A6%B8%E0%A6%BF":
+      "earki/article_10872.html",
+    "/satire": "earki/satire.html",
+    "/jokes-redesign": "earki/jokes_redesign.html",
+    "/jokes/joke/12000/redesign": "earki/joke_redesign.html",
+    "/satire/article/10500/%E0%A6%AC%E0%A7%8D%E0%A6%AF%E0%A6%99%E0%A7%8D%E0%A6%97":
+      "earki/satire_10500.html",
+  });
+});
+after(() => server.close());
+
+test("earki-jokes: list links are de-duped joke URLs only", async () => {
+  const { items } = await scrapeFixture(jokes, server, jokes.startUrl);
+  assert.deepEqual(
+    items.map((it) => it.id),
+    ["11081", "9870"]
+  );
+});
+
+test("earki-jokes: article fields", async () => {
+  const { records, missing } = await scrapeFixture(
+    jokes,
+    server,
+    jokes.startUrl
+  );
+  assert.deepEqual(missing, []);
+  assert.deepEqual(schemaErrors(records), []);
+
+  const [first, second] = records;
+  assert.equal(first.article_id, "11081");
+  assert.equal(first.headline, "বাংলাদেশী কুস্তিগীরের একদিন");
+  assert.equal(first.published_at, "2025-08-12T11:49:12.000Z");
+  assert.equal(first.published_at_raw, "2025-08-12T17:49:12+06:00");
+  assert.match(first.content, /^এক বাংলাদেশি কুস্তিগীর।/);
+  assert.doesNotMatch(first.content, /\n\n/);
+  assert.equal(first.label_name, "satire");
+  assert.equal(first.label, 0);
+  assert.equal(first.category, "jokes");
+
+  // h2 headline fallback
+  assert.equal(second.headline, "এমনকি নিলস বোরও শূন্য পেয়েছিল!");
+});
+
+test("earki-articles: picks /jokes/article cards from the same list", async () => {
+  const { records } = await scrapeFixture(articles, server, articles.startUrl);
+  assert.equal(records.length, 1);
+  assert.equal(records[0].article_id, "10872");
+  assert.equal(
+    records[0].content,
+    "হাসলে মন ভালো থাকে।\nআর মন ভালো থাকলে হাসি পায়।"
+  );
+});
+
+test("earki: author, tags, og: metadata and related posts go to meta", async () => {
+  const { records } = await scrapeFixture(articles, server, articles.startUrl);
+  assert.deepEqual(records[0].meta, {
+    authors: ["আরকি ডেস্ক"], // the Facebook profile URL is not a name
+    tags: ["হাসি", "স্বাস্থ্য", "মন"],
+    description: "হাসির উপকারিতা নিয়ে দশটি কারণ",
+    canonical_url: "https://www.earki.co/articles/article/10872",
+    modified_at: "2025-07-02T03:30:00.000Z",
+    section: null,
+    related_links: [
+      "https://www.earki.co/jokes/article/10850/%E0%A6%95%E0%A6%BE%E0%A6%A8%E0%A7%8D%E0%A6%A8%E0%A6%BE",
+      "https://www.earki.co/jokes/article/10801",
+    ],
+    comment_count: 3,
+    word_count: 10,
+    reading_time_min: 1,
+  });
+  // pages without any of it still get counts
+  const { records: jokesRecords } = await scrapeFixture(
+    jokes,
+    server,
+    jokes.startUrl
+  );
+  // the byline is the record's author too
+  assert.equal(records[0].author, "আরকি ডেস্ক");
+  assert.deepEqual(jokesRecords[0].meta.authors, []);
+  assert.equal(jokesRecords[0].author, undefined);
+  assert.equal(jokesRecords[0].meta.comment_count, null);
+  assert.ok(jokesRecords[0].meta.word_count > 0);
+});
+
+test("earki-satire: only .has_image cards, category satire", async () => {
+  const { records } = await scrapeFixture(satire, server, satire.startUrl);
+  assert.deepEqual(
+    records.map((r) => [r.article_id, r.category]),
+    [["10500", "satire"]]
+  );
+  assert.deepEqual(schemaErrors(records), []);
+});
+
+test("earki: backup selectors are counted in the health report", async () => {
+  const { records, health } = await scrapeFixture(
+    jokes,
+    server,
+    "https://www.earki.co/jokes-redesign"
+  );
+  assert.equal(records[0].headline, "নতুন ডিজাইনের কৌতুক");
+  assert.equal(records[0].content, "নতুন মার্কআপেও কৌতুক আছে।");
+  assert.equal(health.counts.fallback, 1);
+  assert.deepEqual(health.fallbackFields, {
+    headline: 1,
+    published_at: 1,
+    content: 1,
+  });
+});
+
+test("earki: current markup is healthy", async () => {
+  const { health } = await scrapeFixture(jokes, server, jokes.startUrl);
+  // joke 9870 still uses the older h2 headline
+  assert.deepEqual(health.fallbackFields, { headline: 1 });
+  assert.equal(health.counts.emptyContent, 0);
+  assert.deepEqual(health.failures, []);
+});
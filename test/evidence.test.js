@@ -0,0 +1,57 @@
+/** @format */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { classifyLink, pickEvidence } = require("../lib/evidence");
+
+test("evidence: links are classified by host", () => {
+  assert.deepEqual(classifyLink("https://m.facebook.com/story.php?id=1#x"), {
+    url: "https://m.facebook.com/story.php?id=1",
+    host: "facebook.com",
+    kind: "social",
+    platform: "facebook",
+    archived_url: null,
+  });
+  assert.equal(classifyLink("https://youtu.be/abc").platform, "youtube");
+  assert.equal(classifyLink("https://x.com/user/status/1").platform, "twitter");
+  assert.equal(classifyLink("https://bbc.com/news/1").kind, "web");
+  assert.equal(
+    classifyLink("https://web.archive.org/web/2024id_/http://a.com/p?q=1")
+      .archived_url,
+    "http://a.com/p?q=1"
+  );
+  assert.equal(
+    classifyLink("https://archive.today/newest/https://a.com/p").archived_url,
+    "https://a.com/p"
+  );
+});
+
+test("evidence: own-site, share and repeated links are dropped", () => {
+  const picked = pickEvidence(
+    {
+      links: [
+        { url: "https://a.com/1", text: "এখানে" },
+        { url: "https://a.com/1#comments", text: "আবার" },
+        { url: "https://www.site.org/other-post/", text: "" },
+        { url: "https://twitter.com/intent/tweet?url=x", text: "Tweet" },
+        { url: "mailto:desk@site.org", text: "mail" },
+      ],
+      media: [
+        { type: "image", url: "https://s.w.org/images/core/emoji/15/x.svg" },
+        { type: "image", url: "data:image/gif;base64,R0l" },
+      ],
+    },
+    "https://site.org/post/"
+  );
+  assert.deepEqual(picked.evidence_links, [
+    {
+      url: "https://a.com/1",
+      text: "এখানে",
+      host: "a.com",
+      kind: "web",
+      platform: null,
+      archived_url: null,
+    },
+  ]);
+  assert.equal(picked.media, null);
+});
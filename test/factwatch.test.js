@@ -0,0 +1,109 @@
+/** @format */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  serveFixtures,
+  scrapeFixture,
+  schemaErrors,
+} = require("./helpers/fixtures");
+const factwatch = require("../adapters/factwatch");
+
+const LIST = factwatch.listUrl(1);
+
+let server;
+before(async () => {
+  server = await serveFixtures({
+    [new URL(LIST).pathname]: "factwatch/list.html",
+    "/video-of-dog-theft-in-vietnam-shared-as-bangladeshi-video/":
+      "factwatch/dog_meat.html",
+    "/chatrodal-chatro-shibir-and-ncp-were-involved-in-a-confrontation-ducsu-election/":
+      "factwatch/ducsu.html",
+    "/media-literacy-weekly-roundup/": "factwatch/roundup.html",
+  });
+});
+after(() => server.close());
+
+test("fact-watch: posts without .factcheck-schema are skipped", async () => {
+  const { items, records, skipped } = await scrapeFixture(
+    factwatch,
+    server,
+    LIST
+  );
+  assert.equal(items.length, 3);
+  assert.equal(records.length, 2);
+  assert.deepEqual(skipped, [
+    "https://www.fact-watch.org/media-literacy-weekly-roundup/",
+  ]);
+  assert.deepEqual(schemaErrors(records), []);
+});
+
+test("fact-watch: ClaimReview JSON-LD drives verdict and label", async () => {
+  const { records } = await scrapeFixture(factwatch, server, LIST);
+  const dog = records.find((r) => r.article_id.startsWith("video-of-dog"));
+  assert.equal(dog.verdict, "False");
+  assert.equal(dog.label_name, "fake");
+  assert.equal(dog.rating_scale, "1-5");
+  assert.equal(dog.claimant, "Facebook users");
+  assert.deepEqual(dog.claim_appearances, [
+    "https://www.facebook.com/watch/?v=1234567890",
+  ]);
+  assert.equal(dog.published_at, "2025-08-30T06:10:00.000Z");
+  // the schema block is not part of the content
+  assert.doesNotMatch(dog.content, /Claimed By/);
+  assert.match(dog.content_raw, /^ফেসবুকে ছড়িয়ে পড়া এমন কিছু পোস্ট/);
+  // the link dump goes, the article's own sentences stay
+  assert.match(
+    dog.content,
+    /^ফ্যাক্টওয়াচের অনুসন্ধানঃ\nফেসবুকে ছড়িয়ে পড়া ভিডিওটি/
+  );
+  assert.equal(dog.content_clean, dog.content);
+});
+
+test("fact-watch: claim links, archives and media from the body", async () => {
+  const { records } = await scrapeFixture(factwatch, server, LIST);
+  const dog = records.find((r) => r.article_id.startsWith("video-of-dog"));
+  // own-site links and the share button are not evidence
+  assert.deepEqual(
+    dog.evidence_links.map((l) => [l.kind, l.platform || l.host]),
+    [
+      ["social", "facebook"],
+      ["social", "facebook"],
+      ["social", "youtube"],
+      ["archive", "web.archive.org"],
+      ["archive", "archive.ph"],
+    ]
+  );
+  assert.equal(dog.evidence_links[0].text, "এখানে");
+  assert.equal(
+    dog.evidence_links[3].archived_url,
+    "https://www.youtube.com/watch?v=XyZ123"
+  );
+  // the lazy-loaded image's real address, with its caption
+  assert.deepEqual(dog.media[0], {
+    type: "image",
+    url: "https://www.fact-watch.org/wp-content/uploads/2025/08/dog-meat-keyframe.jpg",
+    host: "fact-watch.org",
+    platform: null,
+    alt: "ভিডিওর কি-ফ্রেম",
+    caption: "ভিয়েতনামের ভিডিওর কি-ফ্রেম",
+  });
+  assert.equal(dog.media[1].url, "https://www.youtube.com/embed/XyZ123");
+  assert.equal(dog.media[1].type, "embed");
+
+  const ducsu = records.find((r) => r.article_id.startsWith("chatrodal"));
+  assert.equal(ducsu.media, undefined);
+});
+
+test("fact-watch: schema block is the fallback verdict source", async () => {
+  const { records } = await scrapeFixture(factwatch, server, LIST);
+  const ducsu = records.find((r) => r.article_id.startsWith("chatrodal"));
+  assert.equal(ducsu.verdict, "বিভ্রান্তিকর");
+  assert.equal(ducsu.label_name, "misleading");
+  assert.equal(
+    ducsu.claim_reviewed,
+    "ডাকসু নির্বাচন ঘিরে ছাত্রদল, শিবির ও এনসিপির সংঘর্ষ"
+  );
+  assert.equal(ducsu.published_at_raw, "August 29, 2025");
+  assert.equal(ducsu.published_at, "2025-08-28T18:00:00.000Z");
+});
@@ -0,0 +1,101 @@
+/** @format */
+
+// Offline harness: serve saved HTML from test/fixtures over local HTTP and
+// run an adapter's extractors on it through the http backend, the way a
+// crawl would.
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { createHttpPage } = require("../../lib/http");
+const { extractRecord } = require("../../lib/crawl");
+const { validateRecord } = require("../../lib/schema");
+const { createHealth } = require("../../lib/health");
+
+const FIXTURES = path.join(__dirname, "..", "fixtures");
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".jpg": "image/jpeg",
+  ".png": "image/png",
+};
+
+/**
+ * routes: { "/path?query": "site/file.html" }. Paths are the live site's,
+ * so extractors see the same URLs they would in production.
+ */
+async function serveFixtures(routes) {
+  const server = http.createServer((req, res) => {
+    const file = routes[req.url];
+    if (!file) {
+      res.writeHead(404).end("not found");
+      return;
+    }
+    const type = CONTENT_TYPES[path.extname(file)] || CONTENT_TYPES[".html"];
+    res.writeHead(200, { "Content-Type": type });
+    fs.createReadStream(path.join(FIXTURES, file)).pipe(res);
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    // live URL -> the same path on the fixture server
+    local(url) {
+      const u = new URL(url);
+      return base + u.pathname + u.search;
+    },
+    close: () => new Promise((r) => server.close(r)),
+  };
+}
+
+async function openFixture(server, url) {
+  const page = createHttpPage();
+  const res = await page.goto(server.local(url));
+  if (!res.ok()) throw new Error(`HTTP ${res.status()} for ${url}`);
+  return page;
+}
+
+/**
+ * List page -> items -> article pages -> records, with the run's health
+ * report. Articles without a fixture are reported in `missing` rather than
+ * failing the whole run.
+ */
+async function scrapeFixture(adapter, server, listUrl) {
+  const selectors = adapter.selectors || {};
+  const health = createHealth(adapter);
+  // what extractRecord needs of a crawl: default text options, no --media
+  const ctx = { adapter, settings: { text: {} }, media: null };
+  const listPage = await openFixture(server, listUrl);
+  const items = (
+    await listPage.evaluate(adapter.extractList, listUrl, selectors)
+  ).map((it) => ({ ...it, id: adapter.articleId(it.url) || "" }));
+  health.listed(items.length);
+
+  const records = [];
+  const skipped = [];
+  const missing = [];
+  for (const item of items) {
+    let page;
+    try {
+      page = await openFixture(server, item.url);
+    } catch {
+      missing.push(item.url);
+      continue;
+    }
+    const result = await extractRecord(ctx, page, item);
+    if (result.skipped) {
+      skipped.push(item.url);
+      continue;
+    }
+    health.record(result.record, result.fallbacks);
+    records.push(result.record);
+  }
+  return { items, records, skipped, missing, health: health.report() };
+}
+
+// Assert-friendly: every validation problem across the records
+function schemaErrors(records) {
+  return records.flatMap((r) =>
+    validateRecord(r).map((e) => `${r.article_id}: ${e}`)
+  );
+}
+
+module.exports = { FIXTURES, serveFixtures, scrapeFixture, schemaErrors };
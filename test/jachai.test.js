@@ -0,0 +1,55 @@
+/** @format */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  serveFixtures,
+  scrapeFixture,
+  schemaErrors,
+} = require("./helpers/fixtures");
+const jachai = require("../adapters/jachai");
+
+const LIST = jachai.listUrl(1);
+
+let server;
+before(async () => {
+  server = await serveFixtures({
+    "/fact-checks/page/1": "jachai/list.html",
+    "/fact-checks/post-3851": "jachai/post_3851.html",
+    "/fact-checks/post-3663": "jachai/post_3663.html",
+  });
+});
+after(() => server.close());
+
+test("jachai: card fields come from the list page", async () => {
+  const { items, records } = await scrapeFixture(jachai, server, LIST);
+  assert.equal(items.length, 2); // the card without a title is dropped
+  assert.deepEqual(schemaErrors(records), []);
+
+  const r = records.find((x) => x.article_id === "3851");
+  assert.equal(r.headline, "GovtInfo: “শেখ হাসিনা সরকারের সাফল্য”");
+  assert.equal(r.topic, "politics");
+  assert.equal(r.meta.section, "রাজনীতি");
+  assert.equal(r.publisher, "jachai");
+  assert.equal(r.published_at, "2023-08-22T14:38:19.000Z");
+  assert.equal(r.label_name, "fake");
+  assert.match(r.content, /^বর্তমান সরকার/);
+  // archive.today copy of the claim and the embedded post
+  assert.deepEqual(
+    r.evidence_links.map((l) => l.archived_url),
+    ["https://www.facebook.com/GovtInfo/posts/1"]
+  );
+  assert.deepEqual(
+    r.media.map((m) => [m.type, m.platform]),
+    [["embed", "facebook"]]
+  );
+});
+
+test("jachai: ClaimReview rating refines the default label", async () => {
+  const { records } = await scrapeFixture(jachai, server, LIST);
+  const r = records.find((x) => x.article_id === "3663");
+  assert.equal(r.verdict, "মিথ্যা");
+  assert.equal(r.label_name, "fake");
+  assert.deepEqual(r.claim_appearances, ["http://rpolitician.com/worst-ruler"]);
+  assert.equal(r.topic, "fake-news");
+});
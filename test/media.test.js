@@ -0,0 +1,82 @@
+/** @format */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+const {
+  hashImage,
+  hashDistance,
+  pickImages,
+  createMediaStore,
+} = require("../lib/media");
+
+const FIXTURE = path.join(__dirname, "fixtures", "jamuna", "meeting.jpg");
+
+test("media: perceptual hashes survive resizing, not a new picture", async () => {
+  const original = await hashImage(fs.readFileSync(FIXTURE));
+  assert.match(original.phash, /^[0-9a-f]{16}$/);
+  assert.match(original.dhash, /^[0-9a-f]{16}$/);
+
+  const shrunk = await hashImage(
+    await sharp(FIXTURE).resize(300).webp({ quality: 40 }).toBuffer()
+  );
+  assert.equal(shrunk.format, "webp");
+  assert.equal(shrunk.width, 300);
+  assert.ok(hashDistance(original.phash, shrunk.phash) <= 4);
+  assert.ok(hashDistance(original.dhash, shrunk.dhash) <= 4);
+
+  const flipped = await hashImage(await sharp(FIXTURE).flop().toBuffer());
+  assert.ok(hashDistance(original.phash, flipped.phash) > 16);
+  assert.ok(hashDistance(original.dhash, flipped.dhash) > 16);
+
+  await assert.rejects(hashImage(Buffer.from("<html></html>")));
+});
+
+test("media: hash distance counts differing bits", () => {
+  assert.equal(hashDistance("0000000000000000", "0000000000000000"), 0);
+  assert.equal(hashDistance("f000000000000001", "0000000000000000"), 5);
+});
+
+test("media: og:image first, then body images, each once", () => {
+  const images = pickImages("https://jamuna.tv/media/a.jpg", [
+    { type: "image", url: "https://jamuna.tv/media/b.png", alt: "বৈঠক" },
+    { type: "image", url: "https://jamuna.tv/media/a.jpg", alt: "" },
+    { type: "image", url: "https://s.w.org/images/core/emoji/1.png" },
+    { type: "image", url: "data:image/png;base64,AAAA" },
+    { type: "embed", url: "https://www.youtube.com/embed/x" },
+  ]);
+  assert.deepEqual(images, [
+    { url: "https://jamuna.tv/media/a.jpg", source: "og:image", alt: null },
+    { url: "https://jamuna.tv/media/b.png", source: "body", alt: "বৈঠক" },
+  ]);
+  assert.deepEqual(pickImages(null, null), []);
+});
+
+test("media: concurrent requests for one URL share a download", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "media-test-"));
+  try {
+    const store = createMediaStore(dir);
+    let downloads = 0;
+    const download = async () => {
+      downloads += 1;
+      return { body: fs.readFileSync(FIXTURE), contentType: "image/jpeg" };
+    };
+    const url = "https://jamuna.tv/media/meeting.jpg";
+    const [a, b] = await Promise.all([
+      store.fetchOnce(url, download),
+      store.fetchOnce(url, download),
+    ]);
+    assert.equal(downloads, 1);
+    assert.deepEqual(a, b);
+    // and later ones come from the index
+    assert.deepEqual(await store.fetchOnce(url, download), a);
+    assert.equal(downloads, 1);
+    const lines = fs.readFileSync(store.indexPath, "utf8").trim().split("\n");
+    assert.equal(lines.length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
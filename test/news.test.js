@@ -0,0 +1,73 @@
+/** @format */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  serveFixtures,
+  scrapeFixture,
+  schemaErrors,
+} = require("./helpers/fixtures");
+const prothomalo = require("../adapters/prothomalo");
+const jamuna = require("../adapters/jamuna");
+
+let server;
+before(async () => {
+  server = await serveFixtures({
+    "/bangladesh": "prothomalo/list.html",
+    "/bangladesh/capital/6w3k2zq8pd": "prothomalo/capital.html",
+    "/bangladesh/district/8f2h5qy1ma": "prothomalo/district.html",
+    "/national?page=1": "jamuna/list.html",
+    "/news/612345": "jamuna/news_612345.html",
+    "/news/612340": "jamuna/news_612340.html",
+  });
+});
+after(() => server.close());
+
+test("prothomalo: story links only, fragments and repeats dropped", async () => {
+  const { items } = await scrapeFixture(
+    prothomalo,
+    server,
+    prothomalo.startUrl
+  );
+  assert.deepEqual(
+    items.map((it) => it.id),
+    ["6w3k2zq8pd", "8f2h5qy1ma"]
+  );
+});
+
+test("prothomalo: NewsArticle JSON-LD and text blocks", async () => {
+  const { records } = await scrapeFixture(
+    prothomalo,
+    server,
+    prothomalo.startUrl
+  );
+  assert.deepEqual(schemaErrors(records), []);
+  const [capital, district] = records;
+  assert.equal(capital.headline, "রাজধানীতে বৃষ্টিতে জলাবদ্ধতা");
+  assert.equal(capital.author, "নিজস্ব প্রতিবেদক");
+  assert.equal(capital.published_at, "2025-08-20T08:15:00.000Z");
+  assert.equal(
+    capital.content,
+    "টানা বৃষ্টিতে রাজধানীর বিভিন্ন এলাকায় জলাবদ্ধতা দেখা দিয়েছে।\nভোগান্তিতে পড়েছেন অফিসগামী মানুষ।"
+  );
+  assert.equal(capital.label_name, "real");
+  assert.equal(capital.label, 1);
+  assert.equal(district.published_at, "2025-08-19T14:00:00.000Z");
+});
+
+test("jamuna-tv: numeric ids and Bangla publish times", async () => {
+  const { records } = await scrapeFixture(jamuna, server, jamuna.listUrl(1));
+  assert.deepEqual(schemaErrors(records), []);
+  assert.deepEqual(
+    records.map((r) => [r.article_id, r.published_at]),
+    [
+      ["612345", "2025-08-20T09:12:00.000Z"],
+      ["612340", "2025-08-20T05:05:00.000Z"],
+    ]
+  );
+  assert.equal(
+    records[1].content,
+    "উত্তরাঞ্চলের বন্যা পরিস্থিতির উন্নতি হয়েছে।"
+  );
+  assert.equal(records[0].category, "news");
+});
@@ -0,0 +1,80 @@
+/** @format */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ThrottledError } = require("../lib/scheduler");
+const {
+  HttpError,
+  SelectorError,
+  classifyError,
+  backoffDelay,
+  withRetry,
+} = require("../lib/retry");
+
+test("retry: errors are classified by kind", () => {
+  const timeout = new Error("Navigation timeout of 45000 ms exceeded");
+  timeout.name = "TimeoutError";
+  const fetchFailed = new TypeError("fetch failed", {
+    cause: { code: "ECONNRESET" },
+  });
+  const cases = [
+    [timeout, "timeout", true],
+    [new Error("net::ERR_CONNECTION_RESET at https://x"), "network", true],
+    [fetchFailed, "network", true],
+    [new HttpError("u", 502), "http", true],
+    [new HttpError("u", 404), "http", false],
+    [new SelectorError("u"), "selector", false],
+    [new ThrottledError("u", 429), "throttled", false],
+    [new TypeError("x is not a function"), "other", false],
+  ];
+  for (const [err, kind, retryable] of cases) {
+    const c = classifyError(err);
+    assert.equal(c.kind, kind, err.message);
+    assert.equal(c.retryable, retryable, err.message);
+  }
+  assert.equal(classifyError(new HttpError("u", 404)).status, 404);
+});
+
+test("retry: backoff doubles up to the cap", () => {
+  const policy = { baseMs: 100, maxMs: 350 };
+  const d = [1, 2, 3, 4].map((n) => backoffDelay(n, policy));
+  assert.ok(d[0] >= 100 && d[0] < 120);
+  assert.ok(d[1] >= 200 && d[1] < 240);
+  assert.ok(d[2] >= 350 && d[3] >= 350 && d[3] < 420);
+});
+
+test("retry: retryable errors are retried until success", async () => {
+  let calls = 0;
+  const seen = [];
+  const value = await withRetry(
+    async () => {
+      if (++calls < 3) throw new HttpError("u", 503);
+      return "ok";
+    },
+    { retries: 3, baseMs: 1 },
+    (err, n) => seen.push(n)
+  );
+  assert.equal(value, "ok");
+  assert.deepEqual(seen, [1, 2]);
+});
+
+test("retry: the final error carries kind, status and attempts", async () => {
+  await assert.rejects(
+    withRetry(
+      async () => {
+        throw new HttpError("u", 500);
+      },
+      { retries: 2, baseMs: 1 }
+    ),
+    (err) => err.kind === "http" && err.status === 500 && err.attempts === 3
+  );
+  let calls = 0;
+  await assert.rejects(
+    withRetry(async () => {
+      calls += 1;
+      throw new HttpError("u", 404);
+    }),
+    (err) => err.attempts === 1
+  );
+  assert.equal(calls, 1);
+});
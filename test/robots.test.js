@@ -0,0 +1,115 @@
+/** @format */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const {
+  agentToken,
+  createRobots,
+  groupFor,
+  isAllowed,
+  parseRobots,
+} = require("../lib/robots");
+
+const ROBOTS = `
+User-agent: *
+Disallow: /wp-admin/
+Allow: /wp-admin/admin-ajax.php
+Disallow: /*?s=
+Disallow: /*.pdf$
+Crawl-delay: 10
+
+# ours
+User-agent: fake-news-scrapper
+User-agent: other-bot
+Disallow: /private
+Crawl-delay: 2
+`;
+
+test("robots: groups, rules and Crawl-delay are parsed", () => {
+  const groups = parseRobots(ROBOTS);
+  assert.equal(groups.length, 2);
+  assert.deepEqual(groups[1].agents, ["fake-news-scrapper", "other-bot"]);
+  assert.equal(groups[0].crawlDelayMs, 10000);
+  assert.deepEqual(groups[1].rules, [{ allow: false, path: "/private" }]);
+});
+
+test("robots: our own group beats *", () => {
+  const groups = parseRobots(ROBOTS);
+  assert.equal(
+    agentToken("fake-news-scrapper/1.0 (contact)"),
+    "fake-news-scrapper"
+  );
+  const ours = groupFor(groups, "fake-news-scrapper/1.0");
+  assert.equal(ours.crawlDelayMs, 2000);
+  assert.equal(isAllowed(ours.rules, "/wp-admin/"), true);
+  const anyone = groupFor(groups, "SomeBot/2.0");
+  assert.equal(anyone.crawlDelayMs, 10000);
+});
+
+test("robots: longest match wins, Allow on a tie, wildcards and $", () => {
+  const { rules } = groupFor(parseRobots(ROBOTS), "SomeBot");
+  assert.equal(isAllowed(rules, "/wp-admin/options.php"), false);
+  assert.equal(isAllowed(rules, "/wp-admin/admin-ajax.php"), true);
+  assert.equal(isAllowed(rules, "/?s=gujob"), false);
+  assert.equal(isAllowed(rules, "/report.pdf"), false);
+  assert.equal(isAllowed(rules, "/report.pdf?x=1"), true);
+  assert.equal(isAllowed(rules, "/fact-checks/post-1"), true);
+  const tie = [
+    { allow: false, path: "/a" },
+    { allow: true, path: "/a" },
+  ];
+  assert.equal(isAllowed(tie, "/a/b"), true);
+});
+
+test("robots: percent-encoded and raw Bangla paths match each other", () => {
+  const rules = [{ allow: false, path: "/category/ফ্যাক্টচেক" }];
+  const encoded = "/category/" + encodeURIComponent("ফ্যাক্টচেক") + "/page/2/";
+  assert.equal(isAllowed(rules, encoded), false);
+});
+
+async function serve(handler, fn) {
+  const server = http.createServer(handler);
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+}
+
+test("robots: fetched once per host and sent our User-Agent", async () => {
+  const agents = [];
+  await serve(
+    (req, res) => {
+      agents.push(req.headers["user-agent"]);
+      res.end("User-agent: *\nDisallow: /private\nCrawl-delay: 3\n");
+    },
+    async (base) => {
+      const robots = createRobots({
+        userAgent: "test-bot/0.1 (me@example.org)",
+      });
+      assert.deepEqual(await robots.check(`${base}/news/1`), {
+        allowed: true,
+        crawlDelayMs: 3000,
+      });
+      assert.equal((await robots.check(`${base}/private/x`)).allowed, false);
+    }
+  );
+  assert.deepEqual(agents, ["test-bot/0.1 (me@example.org)"]);
+});
+
+test("robots: 404 allows everything, 5xx disallows the host", async () => {
+  await serve(
+    (req, res) => res.writeHead(404).end(),
+    async (base) => {
+      assert.equal((await createRobots().check(`${base}/x`)).allowed, true);
+    }
+  );
+  await serve(
+    (req, res) => res.writeHead(500).end(),
+    async (base) => {
+      assert.equal((await createRobots().check(`${base}/x`)).allowed, false);
+    }
+  );
+});
@@ -0,0 +1,43 @@
+/** @format */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  serveFixtures,
+  scrapeFixture,
+  schemaErrors,
+} = require("./helpers/fixtures");
+const rumorscanner = require("../adapters/rumorscanner");
+
+const LIST = rumorscanner.listUrl(1);
+
+let server;
+before(async () => {
+  server = await serveFixtures({
+    "/category/fact-check/": "rumorscanner/list.html",
+    "/fact-check/padma-bridge-crack-photo/112233": "rumorscanner/padma.html",
+    "/fact-check/rice-price-claim/112200": "rumorscanner/rice.html",
+  });
+});
+after(() => server.close());
+
+test("rumor-scanner: verdict badge maps to the label vocabulary", async () => {
+  const { records } = await scrapeFixture(rumorscanner, server, LIST);
+  assert.deepEqual(schemaErrors(records), []);
+  assert.deepEqual(
+    records.map((r) => [r.article_id, r.verdict, r.label_name]),
+    [
+      ["112233", "সম্পাদিত", "misleading"],
+      ["112200", "ভিত্তিহীন", "fake"],
+    ]
+  );
+});
+
+test("rumor-scanner: share buttons and verdict stay out of content", async () => {
+  const { records } = await scrapeFixture(rumorscanner, server, LIST);
+  const [padma] = records;
+  assert.equal(padma.headline, "পদ্মা সেতুতে ফাটলের ছবিটি এডিটেড");
+  assert.equal(padma.published_at, "2025-08-18T05:05:00.000Z");
+  assert.doesNotMatch(padma.content, /শেয়ার করুন|সম্পাদিত\n/);
+  assert.match(padma.content, /^সামাজিক মাধ্যমে/);
+});
@@ -0,0 +1,136 @@
+/** @format */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { sleep } = require("../lib/timing");
+const {
+  ThrottledError,
+  createScheduler,
+  parseRetryAfter,
+  throwIfThrottled,
+} = require("../lib/scheduler");
+
+const fast = { intervalMs: 1, maxInFlight: 10 };
+
+test("scheduler: the pool bounds pages in flight across hosts", async () => {
+  const scheduler = createScheduler({ poolSize: 2 });
+  let running = 0;
+  let peak = 0;
+  const task = async () => {
+    peak = Math.max(peak, ++running);
+    await sleep(20);
+    running -= 1;
+  };
+  await Promise.all(
+    ["a", "b", "c", "d", "e"].map((h) =>
+      scheduler.run(`https://${h}.test/`, task, fast)
+    )
+  );
+  assert.equal(peak, 2);
+});
+
+test("scheduler: requests to one host are spaced, other hosts are not", async () => {
+  const scheduler = createScheduler();
+  const starts = {};
+  const task = (key) => async () => {
+    (starts[key] ||= []).push(Date.now());
+  };
+  const slow = { intervalMs: 60, maxInFlight: 5 };
+  await Promise.all([
+    ...[1, 2, 3].map(() =>
+      scheduler.run("https://slow.test/x", task("slow"), slow)
+    ),
+    scheduler.run("https://other.test/x", task("other"), fast),
+  ]);
+  const gaps = starts.slow.slice(1).map((t, i) => t - starts.slow[i]);
+  for (const gap of gaps) assert.ok(gap >= 50, `gap ${gap}ms`);
+  assert.ok(starts.other[0] - starts.slow[0] < 50);
+});
+
+test("scheduler: a throttled host pauses, then the request is retried", async () => {
+  const scheduler = createScheduler({ backoff: { baseMs: 40, retries: 2 } });
+  let calls = 0;
+  const started = Date.now();
+  const value = await scheduler.run(
+    "https://busy.test/",
+    async () => {
+      if (++calls === 1) throw new ThrottledError("https://busy.test/", 429);
+      return "ok";
+    },
+    fast
+  );
+  assert.equal(value, "ok");
+  assert.equal(calls, 2);
+  assert.ok(Date.now() - started >= 35);
+});
+
+test("scheduler: gives up after the configured retries", async () => {
+  const scheduler = createScheduler({ backoff: { baseMs: 1, retries: 2 } });
+  let calls = 0;
+  await assert.rejects(
+    scheduler.run(
+      "https://down.test/",
+      async () => {
+        calls += 1;
+        throw new ThrottledError("https://down.test/", 503);
+      },
+      fast
+    ),
+    ThrottledError
+  );
+  assert.equal(calls, 3);
+});
+
+test("scheduler: other errors are not retried", async () => {
+  const scheduler = createScheduler();
+  let calls = 0;
+  await assert.rejects(
+    scheduler.run(
+      "https://x.test/",
+      async () => {
+        calls += 1;
+        throw new Error("boom");
+      },
+      fast
+    ),
+    /boom/
+  );
+  assert.equal(calls, 1);
+});
+
+test("scheduler: 429 and 503 responses become ThrottledError", () => {
+  const response = (status, headers = {}) => ({
+    status: () => status,
+    headers: () => headers,
+  });
+  const ok = response(200);
+  assert.equal(throwIfThrottled("u", ok), ok);
+  assert.equal(throwIfThrottled("u", response(404)).status(), 404);
+  assert.throws(
+    () => throwIfThrottled("u", response(429, { "retry-after": "7" })),
+    (err) => err instanceof ThrottledError && err.retryAfterMs === 7000
+  );
+  assert.throws(() => throwIfThrottled("u", response(503)), ThrottledError);
+});
+
+test("scheduler: Retry-After as seconds or an HTTP date", () => {
+  const now = Date.parse("2025-08-20T10:00:00Z");
+  assert.equal(parseRetryAfter("120", now), 120000);
+  assert.equal(parseRetryAfter("Wed, 20 Aug 2025 10:00:30 GMT", now), 30000);
+  assert.equal(parseRetryAfter("soon", now), null);
+  assert.equal(parseRetryAfter(undefined, now), null);
+});
+
+test("scheduler: a host's interval can be raised later, never lowered", () => {
+  const scheduler = createScheduler();
+  const url = "https://slowing.test/";
+  scheduler.hostLimiter(url, { intervalMs: 100 });
+  assert.equal(
+    scheduler.hostLimiter(url, { intervalMs: 10 }).config.intervalMs,
+    100
+  );
+  assert.equal(
+    scheduler.hostLimiter(url, { intervalMs: 3000 }).config.intervalMs,
+    3000
+  );
+});
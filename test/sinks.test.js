@@ -0,0 +1,130 @@
+/** @format */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseString } = require("fast-csv");
+const Database = require("better-sqlite3");
+const { asyncBufferFromFile, parquetReadObjects } = require("hyparquet");
+const { RECORD_FIELDS } = require("../lib/schema");
+const { createOutput } = require("../lib/output");
+const { parseSinks } = require("../lib/sinks");
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "sinks-test-"));
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const record = (id, extra = {}) => ({
+  article_id: id,
+  publisher: "jachai",
+  source: `https://www.jachai.org/fact-checks/post-${id}`,
+  category: "fact-check",
+  published_at: "2023-08-22T08:38:19.000Z",
+  headline: `শিরোনাম, "${id}"`,
+  content: "প্রথম লাইন\nদ্বিতীয় লাইন",
+  label: 0,
+  label_name: "fake",
+  language: "bn",
+  scraped_at: "2025-08-20T10:00:00.000Z",
+  claim_appearances: ["https://facebook.com/x"],
+  ...extra,
+});
+
+test("sinks: names are checked", () => {
+  assert.deepEqual(parseSinks("jsonl, sqlite,jsonl"), ["jsonl", "sqlite"]);
+  assert.throws(() => parseSinks("jsonl,xml"), /Unknown sink: xml/);
+});
+
+test("sinks: rows are buffered until flush", async () => {
+  const out = createOutput({ dir, name: "buffered", sinks: ["jsonl"] });
+  out.write(record("1"));
+  assert.equal(fs.readFileSync(out.jsonlPath, "utf8"), "");
+  await out.flush();
+  assert.equal(
+    JSON.parse(fs.readFileSync(out.jsonlPath, "utf8")).article_id,
+    "1"
+  );
+  assert.deepEqual(Array.from(await out.existingIds()), ["1"]);
+  await out.close();
+});
+
+test("sinks: CSV is RFC 4180 and keeps line breaks", async () => {
+  const out = createOutput({ dir, name: "rfc", sinks: ["csv"] });
+  out.write(record("7"));
+  await out.close();
+  const text = fs.readFileSync(out.csvPath, "utf8");
+  assert.ok(!text.startsWith("\uFEFF"));
+  assert.equal(text.split("\r\n")[0], RECORD_FIELDS.join(","));
+  const rows = [];
+  await new Promise((resolve, reject) =>
+    parseString(text, { headers: true })
+      .on("data", (r) => rows.push(r))
+      .on("end", resolve)
+      .on("error", reject)
+  );
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].headline, 'শিরোনাম, "7"');
+  assert.equal(rows[0].content, "প্রথম লাইন\nদ্বিতীয় লাইন");
+  assert.equal(rows[0].claim_appearances, '["https://facebook.com/x"]');
+});
+
+test("sinks: SQLite upserts on (publisher, article_id)", async () => {
+  const out = createOutput({ dir, name: "db", sinks: ["sqlite"] });
+  out.write(record("1"));
+  out.write(record("2"));
+  out.write(record("1", { headline: "updated" }));
+  await out.close();
+
+  const db = new Database(path.join(dir, "db.sqlite"), { readonly: true });
+  const rows = db.prepare("SELECT * FROM records ORDER BY article_id").all();
+  db.close();
+  assert.deepEqual(
+    rows.map((r) => [r.article_id, r.headline]),
+    [
+      ["1", "updated"],
+      ["2", 'শিরোনাম, "2"'],
+    ]
+  );
+  assert.equal(rows[0].label, 0);
+  assert.equal(rows[0].claim_appearances, '["https://facebook.com/x"]');
+
+  const again = createOutput({ dir, name: "db", sinks: ["sqlite"] });
+  assert.deepEqual(Array.from(await again.existingIds()).sort(), ["1", "2"]);
+  await again.close();
+});
+
+test("sinks: every Parquet flush leaves a finished part", async () => {
+  const out = createOutput({ dir, name: "pq", sinks: ["parquet"] });
+  for (let i = 0; i < 3; i++) out.write(record(String(i)));
+  await out.flush();
+  const folder = path.join(dir, "pq.parquet");
+  const finished = () =>
+    fs.readdirSync(folder).filter((f) => f.endsWith(".parquet"));
+  // flushed rows are readable, and known to a rerun, before the run ends
+  const parts = finished();
+  assert.equal(parts.length, 1);
+  assert.deepEqual(Array.from(await out.existingIds()).sort(), ["0", "1", "2"]);
+
+  out.write(record("3"));
+  await out.flush();
+  await out.close(); // nothing new: no empty part
+  assert.equal(finished().length, 2);
+  assert.deepEqual(
+    fs.readdirSync(folder).filter((f) => f.endsWith(".tmp")),
+    []
+  );
+  const file = await asyncBufferFromFile(path.join(folder, parts[0]));
+  const rows = await parquetReadObjects({ file });
+  assert.equal(rows.length, 3);
+  assert.equal(rows[0].content, "প্রথম লাইন\nদ্বিতীয় লাইন");
+  assert.equal(rows[0].label, 0);
+  assert.equal(
+    new Date(rows[0].published_at).toISOString(),
+    "2023-08-22T08:38:19.000Z"
+  );
+  assert.equal(rows[0].topic, null);
+});
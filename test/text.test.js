@@ -0,0 +1,78 @@
+/** @format */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { cleanText, splitSentences, stripZeroWidth } = require("../lib/text");
+
+test("text: NFC, one paragraph per line, no blank lines", () => {
+  const decomposed = "কো".normalize("NFD");
+  assert.equal(
+    cleanText(`  প্রথম ${decomposed}\t লাইন \n\n\n   দ্বিতীয় লাইন  `),
+    `প্রথম ${"কো".normalize("NFC")} লাইন\nদ্বিতীয় লাইন`
+  );
+  assert.equal(cleanText(" \n "), null);
+  assert.equal(cleanText(null), null);
+});
+
+test("text: zero-width joiners survive only inside Bangla words", () => {
+  assert.equal(stripZeroWidth("র\u200d্য"), "র\u200d্য");
+  assert.equal(stripZeroWidth("\u200cশব্দ\u200b \ufeffআর"), "শব্দ আর");
+  assert.equal(stripZeroWidth("abc\u200d\u200d"), "abc");
+});
+
+test("text: digits are kept or converted", () => {
+  assert.equal(cleanText("২০২৩ সালে 5 জন"), "২০২৩ সালে 5 জন");
+  assert.equal(cleanText("২০২৩ সালে", { digits: "ascii" }), "2023 সালে");
+  assert.equal(cleanText("2023 সালে", { digits: "bangla" }), "২০২৩ সালে");
+  assert.throws(() => cleanText("x", { digits: "roman" }), /digits/);
+});
+
+test("text: dari and spacing around punctuation", () => {
+  assert.equal(
+    cleanText("সে এসেছিল | তারপর চলে গেল ।।আবার আসবে ?"),
+    "সে এসেছিল। তারপর চলে গেল। আবার আসবে?"
+  );
+  assert.equal(
+    cleanText("সে এসেছিল | তারপর", { punctuation: false }),
+    "সে এসেছিল | তারপর"
+  );
+});
+
+test("text: URLs keep their ? and !", () => {
+  assert.equal(
+    cleanText(
+      "ভিডিওটি দেখুন https://www.youtube.com/watch?v=abc123 এখানে।তারপর"
+    ),
+    "ভিডিওটি দেখুন https://www.youtube.com/watch?v=abc123 এখানে। তারপর"
+  );
+  assert.equal(
+    cleanText("সূত্র: facebook.com/story.php?id=1&x=!y"),
+    "সূত্র: facebook.com/story.php?id=1&x=!y"
+  );
+  assert.equal(cleanText("কী?“না”"), "কী? “না”");
+});
+
+test("text: link dumps and share buttons are boilerplate", () => {
+  const raw = [
+    "ফেসবুকে ছড়িয়ে পড়া এমন কিছু পোস্ট দেখুন",
+    "এখানে,",
+    "এখানে এবং এখানে।",
+    "দাবিটি মিথ্যা। ওই ছবিটি পুরোনো।",
+    "Share: Facebook | Twitter | WhatsApp",
+    "শেয়ার করুন",
+    "আরও পড়ুন: অন্য খবর",
+  ].join("\n");
+  assert.equal(
+    cleanText(raw, { boilerplatePatterns: [/^আরও পড়ুন/] }),
+    "দাবিটি মিথ্যা। ওই ছবিটি পুরোনো।"
+  );
+  assert.equal(cleanText(raw, { boilerplate: false }).split("\n").length, 7);
+});
+
+test("text: sentence segmentation", () => {
+  assert.deepEqual(
+    splitSentences("দাবিটি মিথ্যা। কেন? দাম 2.5 টাকা. Then English.\nশেষ"),
+    ["দাবিটি মিথ্যা।", "কেন?", "দাম 2.5 টাকা.", "Then English.", "শেষ"]
+  );
+  assert.equal(cleanText("এক। দুই।", { sentences: true }), "এক।\nদুই।");
+});
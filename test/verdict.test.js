@@ -0,0 +1,35 @@
+/** @format */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { mapVerdict } = require("../lib/verdict");
+
+const CASES = [
+  ["False", "fake"],
+  ["মিথ্যা", "fake"],
+  ["অসত্য", "fake"],
+  ["Not true", "fake"],
+  ["Not correct", "fake"],
+  ["This is not accurate", "fake"],
+  ["Inaccurate", "fake"],
+  ["সত্য নয়", "fake"],
+  ["সত্য নয়".normalize("NFD"), "fake"],
+  ["সঠিক নয়", "fake"],
+  ["Partly false", "misleading"],
+  ["Missing context", "misleading"],
+  ["বিভ্রান্তিকর", "misleading"],
+  ["Satire", "satire"],
+  ["True", "real"],
+  ["Correct", "real"],
+  ["সত্য", "real"],
+  ["সঠিক", "real"],
+  ["Unproven", null],
+  ["", null],
+  [null, null],
+];
+
+test("verdict: ratings map to label names", () => {
+  for (const [rating, label] of CASES) {
+    assert.equal(mapVerdict(rating), label, `${rating}`);
+  }
+});